@@ -0,0 +1,74 @@
+const notificationService = require('../services/notificationService');
+const sendError = require('../utils/sendError');
+
+// The caller's notifications, newest first; ?unread=true for unread only
+exports.getNotifications = async (req, res) => {
+    try {
+        const { notifications, total, unreadCount, page, limit } = await notificationService.listForUser(
+            req.user.id,
+            req.query
+        );
+        res.status(200).json({
+            status: 'success',
+            results: notifications.length,
+            total,
+            unreadCount,
+            page,
+            limit,
+            data: { notifications }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.markRead = async (req, res) => {
+    try {
+        const notification = await notificationService.markRead(req.user.id, req.params.notificationId);
+        res.status(200).json({
+            status: 'success',
+            data: { notification }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.markAllRead = async (req, res) => {
+    try {
+        const updated = await notificationService.markAllRead(req.user.id);
+        res.status(200).json({
+            status: 'success',
+            updated
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.clearNotification = async (req, res) => {
+    try {
+        await notificationService.clearNotification(req.user.id, req.params.notificationId);
+        res.status(204).json({
+            status: 'success',
+            data: null
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+// Clear the inbox; ?read=true keeps unread notifications
+exports.clearAll = async (req, res) => {
+    try {
+        const deleted = await notificationService.clearAll(req.user.id, {
+            readOnly: req.query.read === 'true'
+        });
+        res.status(200).json({
+            status: 'success',
+            deleted
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
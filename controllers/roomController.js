@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const PlayLog = require('../models/PlayLog');
+const Message = require('../models/Message');
+const moderationService = require('../services/moderationService');
+const roomService = require('../services/roomService');
+const queueService = require('../services/queueService');
+const followService = require('../services/followService');
+const { canEnterRoom } = require('../utils/roomPermissions');
+const sendError = require('../utils/sendError');
+const {
+    announceRoomCreated,
+    announceRoomUpdated,
+    announceRoomDeleted,
+    announceUserBanned,
+    announceQueueChanged,
+    getListenerCount,
+    countListeners,
+    getLiveRoomIds
+} = require('../sockets/socketHandler');
+
+// List public rooms, newest first
+exports.getRooms = async (req, res) => {
+    try {
+        const { rooms, total, page, limit } = await roomService.listRooms(req.query);
+        const counts = await countListeners(rooms.map(r => r.roomId));
+        res.status(200).json({
+            status: 'success',
+            results: rooms.length,
+            total,
+            page,
+            limit,
+            data: {
+                rooms: rooms.map(r => roomService.serializeRoom(r, counts[r.roomId]))
+            }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+// Search public rooms with text, tag and live filters plus tag facets
+exports.discoverRooms = async (req, res) => {
+    try {
+        const result = await roomService.discoverRooms(req.query, { liveRoomIds: await getLiveRoomIds() });
+        const counts = await countListeners(result.rooms.map(r => r.roomId));
+        res.status(200).json({
+            status: 'success',
+            results: result.rooms.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            data: {
+                rooms: result.rooms.map(r => roomService.serializeRoom(r, counts[r.roomId])),
+                tagFacets: result.tagFacets
+            }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.getRoom = async (req, res) => {
+    try {
+        const room = await roomService.getRoom(req.params.roomId, req.user?.id);
+        res.status(200).json({
+            status: 'success',
+            data: { room: roomService.serializeRoom(room, await getListenerCount(room.roomId)) }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.createRoom = async (req, res) => {
+    try {
+        const room = await roomService.createRoom(req.body, { userId: req.user.id, identityId: req.user.id });
+
+        const io = req.app.get('io');
+        if (io) announceRoomCreated(io, room);
+
+        res.status(201).json({
+            status: 'success',
+            data: { room: roomService.serializeRoom(room) }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.updateRoom = async (req, res) => {
+    try {
+        const { name, description, tags, isPublic, password } = req.body;
+        const room = await roomService.updateRoom(req.params.roomId, req.user.id, {
+            name, description, tags, isPublic, password
+        });
+
+        const io = req.app.get('io');
+        if (io) {
+            await announceRoomUpdated(io, room, {
+                privacyChanged: isPublic !== undefined || password !== undefined
+            });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: { room: roomService.serializeRoom(room, await getListenerCount(room.roomId)) }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.deleteRoom = async (req, res) => {
+    try {
+        const room = await roomService.deleteRoom(req.params.roomId, req.user.id);
+
+        const io = req.app.get('io');
+        if (io) announceRoomDeleted(io, room.roomId);
+
+        res.status(204).json({
+            status: 'success',
+            data: null
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+// Get the songs recently played in a room, newest first
+exports.getRoomHistory = async (req, res) => {
+    try {
+        const room = await Room.findOne({ roomId: String(req.params.roomId).toLowerCase() }).select('+password');
+
+        if (!room) {
+            return res.status(404).json({
+                status: 'fail',
+                message: 'Room not found'
+            });
+        }
+
+        // Same as being in the room: password rooms need earlier access
+        if (moderationService.isBanned(room, req.user?.id) || !canEnterRoom(room, req.user?.id)) {
+            return res.status(403).json({
+                status: 'fail',
+                message: 'You do not have access to this room'
+            });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const [history, total] = await Promise.all([
+            PlayLog.find({ roomId: room.roomId })
+                .sort('-startedAt')
+                .skip((page - 1) * limit)
+                .limit(limit),
+            PlayLog.countDocuments({ roomId: room.roomId })
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            results: history.length,
+            total,
+            page,
+            data: { history }
+        });
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        });
+    }
+};
+
+// Get chat history, newest first. Pass `before` (a message id) to page back.
+exports.getRoomMessages = async (req, res) => {
+    try {
+        const room = await Room.findOne({ roomId: String(req.params.roomId).toLowerCase() }).select('+password');
+
+        if (!room) {
+            return res.status(404).json({
+                status: 'fail',
+                message: 'Room not found'
+            });
+        }
+
+        // Same as being in the room: password rooms need earlier access
+        if (moderationService.isBanned(room, req.user?.id) || !canEnterRoom(room, req.user?.id)) {
+            return res.status(403).json({
+                status: 'fail',
+                message: 'You do not have access to this room'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+        const filter = { roomId: room.roomId, deletedAt: null };
+
+        if (req.query.before) {
+            if (!mongoose.isValidObjectId(req.query.before)) {
+                return res.status(400).json({
+                    status: 'fail',
+                    message: 'Invalid message cursor'
+                });
+            }
+            const cursor = await Message.findById(req.query.before);
+            if (cursor) filter.createdAt = { $lt: cursor.createdAt };
+        }
+
+        const messages = await Message.find(filter).sort('-createdAt').limit(limit);
+
+        res.status(200).json({
+            status: 'success',
+            results: messages.length,
+            hasMore: messages.length === limit,
+            data: { messages }
+        });
+    } catch (err) {
+        res.status(500).json({
+            status: 'error',
+            message: err.message
+        });
+    }
+};
+
+// Get current bans and mutes (DJs only)
+exports.getModeration = async (req, res) => {
+    try {
+        const moderation = await moderationService.getModeration(req.params.roomId, req.user.id);
+        res.status(200).json({
+            status: 'success',
+            data: moderation
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.banUser = async (req, res) => {
+    try {
+        const { targetId, reason } = req.body;
+        const room = await moderationService.banUser(req.params.roomId, req.user.id, targetId, reason);
+
+        const io = req.app.get('io');
+        if (io) await announceUserBanned(io, room, targetId);
+
+        res.status(201).json({
+            status: 'success',
+            data: { bans: room.bans }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.unbanUser = async (req, res) => {
+    try {
+        const room = await moderationService.unbanUser(req.params.roomId, req.user.id, req.params.targetId);
+        res.status(200).json({
+            status: 'success',
+            data: { bans: room.bans }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.muteUser = async (req, res) => {
+    try {
+        const { targetId, durationMinutes } = req.body;
+        const mute = await moderationService.muteUser(req.params.roomId, req.user.id, targetId, durationMinutes);
+
+        req.app.get('io')?.to(String(req.params.roomId).toLowerCase())
+            .emit('user_muted', { targetId: mute.targetId, expiresAt: mute.expiresAt });
+
+        res.status(201).json({
+            status: 'success',
+            data: { mute }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.unmuteUser = async (req, res) => {
+    try {
+        const room = await moderationService.unmuteUser(req.params.roomId, req.user.id, req.params.targetId);
+
+        req.app.get('io')?.to(room.roomId).emit('user_unmuted', { targetId: req.params.targetId });
+
+        res.status(200).json({
+            status: 'success',
+            data: { mutes: room.mutes }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+// Queue a playlist of the caller's in a room they can DJ
+exports.loadPlaylist = async (req, res) => {
+    try {
+        const { playlistId, shuffle, limit } = req.body;
+        const { room, added, skipped } = await queueService.enqueuePlaylist(
+            req.params.roomId,
+            { id: req.user.id, userId: req.user.id, name: req.user.username },
+            { playlistId, shuffle: shuffle === true || shuffle === 'true', limit }
+        );
+
+        const io = req.app.get('io');
+        if (io) await announceQueueChanged(io, room);
+
+        res.status(200).json({
+            status: 'success',
+            added,
+            skipped,
+            data: { queue: room.queue, queueVersion: room.queueVersion }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+// Rooms the caller follows
+exports.getFollowedRooms = async (req, res) => {
+    try {
+        const rooms = await followService.listFollowedRooms(req.user.id);
+        const counts = await countListeners(rooms.map(r => r.roomId));
+        res.status(200).json({
+            status: 'success',
+            results: rooms.length,
+            data: {
+                rooms: rooms.map(r => roomService.serializeRoom(r, counts[r.roomId]))
+            }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.followRoom = async (req, res) => {
+    try {
+        const room = await followService.followRoom(req.params.roomId, req.user.id);
+        res.status(200).json({
+            status: 'success',
+            message: 'Room followed successfully',
+            data: { followersCount: room.followers.length }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+exports.unfollowRoom = async (req, res) => {
+    try {
+        const room = await followService.unfollowRoom(req.params.roomId, req.user.id);
+        res.status(200).json({
+            status: 'success',
+            message: 'Room unfollowed successfully',
+            data: { followersCount: room.followers.length }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
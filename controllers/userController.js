@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const Room = require('../models/Room');
+const { sendNotifications } = require('../sockets/socketHandler');
 
 // Get user profile with stats
 exports.getUserProfile = async (req, res) => {
@@ -147,6 +148,14 @@ exports.followUser = async (req, res) => {
         await currentUser.save();
         await userToFollow.save();
 
+        const io = req.app.get('io');
+        if (io) {
+            await sendNotifications(io, [userToFollow._id], {
+                type: 'new_follower',
+                actor: { id: String(currentUser._id), name: currentUser.username }
+            });
+        }
+
         res.status(200).json({
             status: 'success',
             message: 'User followed successfully'
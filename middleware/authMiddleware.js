@@ -1,19 +1,28 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { promisify } = require('util');
 const User = require('../models/User');
 
+// Verify a JWT and load the user it belongs to (null if the user is gone)
+const findUserByToken = async (token) => {
+    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+    return User.findById(decoded.id);
+};
+
+const getRequestToken = (req) => {
+    if (
+        req.headers.authorization &&
+        req.headers.authorization.startsWith('Bearer')
+    ) {
+        return req.headers.authorization.split(' ')[1];
+    }
+    return req.cookies?.jwt;
+};
+
 exports.protect = async (req, res, next) => {
     try {
         // 1) Getting token and check if it's there
-        let token;
-        if (
-            req.headers.authorization &&
-            req.headers.authorization.startsWith('Bearer')
-        ) {
-            token = req.headers.authorization.split(' ')[1];
-        } else if (req.cookies?.jwt) {
-            token = req.cookies.jwt;
-        }
+        const token = getRequestToken(req);
 
         if (!token) {
             return res.status(401).json({
@@ -22,11 +31,8 @@ exports.protect = async (req, res, next) => {
             });
         }
 
-        // 2) Verification token
-        const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
-
-        // 3) Check if user still exists
-        const currentUser = await User.findById(decoded.id);
+        // 2) Verification token and 3) check if user still exists
+        const currentUser = await findUserByToken(token);
         if (!currentUser) {
             return res.status(401).json({
                 status: 'fail',
@@ -44,3 +50,98 @@ exports.protect = async (req, res, next) => {
         });
     }
 };
+
+// Like protect, but anonymous or invalid tokens just continue without req.user
+exports.optionalAuth = async (req, res, next) => {
+    const token = getRequestToken(req);
+    if (token) {
+        try {
+            const currentUser = await findUserByToken(token);
+            if (currentUser) req.user = currentUser;
+        } catch (err) {
+            // Treat as anonymous
+        }
+    }
+    next();
+};
+
+// Cookies on the domain that aren't ours may be malformed; keep those raw
+const decodeCookie = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        return value;
+    }
+};
+
+const parseCookies = (header = '') => {
+    return header.split(';').reduce((cookies, pair) => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies[pair.slice(0, index).trim()] = decodeCookie(pair.slice(index + 1).trim());
+        }
+        return cookies;
+    }, {});
+};
+
+const signGuestToken = (guestId) => {
+    return jwt.sign({ guestId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.GUEST_TOKEN_EXPIRES_IN || '7d'
+    });
+};
+
+// Socket.IO handshake middleware. Resolves the same `jwt` cookie or bearer
+// token as `protect`; sockets without a valid user token fall back to a
+// server-issued guest identity that the client can resend as `auth.guestToken`.
+exports.socketProtect = async (socket, next) => {
+    // Socket.IO ignores the returned promise: a throw here must reach next()
+    try {
+        const { headers = {}, auth = {} } = socket.handshake;
+
+        let token;
+        if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+            token = headers.authorization.split(' ')[1];
+        } else if (auth.token) {
+            token = auth.token;
+        } else {
+            token = parseCookies(headers.cookie).jwt;
+        }
+
+        socket.data.user = null;
+        socket.data.guestId = null;
+
+        if (token) {
+            try {
+                const currentUser = await findUserByToken(token);
+                if (currentUser) {
+                    socket.data.user = {
+                        id: String(currentUser._id),
+                        name: currentUser.username,
+                        color: currentUser.avatarColor
+                    };
+                }
+            } catch (err) {
+                // Expired or logged-out tokens connect as guests instead of failing
+            }
+        }
+
+        if (!socket.data.user) {
+            try {
+                const decoded = await promisify(jwt.verify)(auth.guestToken, process.env.JWT_SECRET);
+                if (decoded.guestId) socket.data.guestId = decoded.guestId;
+            } catch (err) {
+                // Missing or invalid guest token, a new identity is issued below
+            }
+
+            if (!socket.data.guestId) {
+                socket.data.guestId = `guest_${crypto.randomBytes(8).toString('hex')}`;
+            }
+            socket.data.guestToken = signGuestToken(socket.data.guestId);
+        }
+
+        socket.data.identityId = socket.data.user ? socket.data.user.id : socket.data.guestId;
+    } catch (err) {
+        return next(err);
+    }
+    next();
+};
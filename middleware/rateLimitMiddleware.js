@@ -0,0 +1,79 @@
+const { createRateLimiter } = require('../utils/rateLimiter');
+
+// One limiter per process; swap the store here for a shared one when scaling out
+const limiter = createRateLimiter();
+
+// Proxies in front of the app; server.js gives Express the same value for
+// `trust proxy`, so sockets and requests agree on the client IP
+const TRUSTED_PROXY_HOPS = 1;
+
+// Express's rule for a hop count: walk back from the socket peer through
+// X-Forwarded-For, right to left, past the trusted proxies. Entries further
+// left were written by the client and prove nothing.
+const getSocketIp = (socket) => {
+    const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+    const addresses = [socket.handshake.address, ...forwarded.reverse()];
+    return addresses[Math.min(TRUSTED_PROXY_HOPS, addresses.length - 1)];
+};
+
+// Express middleware limiting a named action per IP and, when known, per
+// identity. `keyFrom` picks the identity from the request (defaults to the
+// logged-in user).
+exports.rateLimit = (name, { keyFrom = req => req.user?.id } = {}) => {
+    return async (req, res, next) => {
+        try {
+            const result = await limiter.consume(name, { identity: keyFrom(req), ip: req.ip });
+            if (result.allowed) return next();
+
+            const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+            res.set('Retry-After', String(retryAfter));
+            res.status(429).json({
+                status: 'fail',
+                message: 'Too many requests, please try again later.',
+                retryAfter
+            });
+        } catch (err) {
+            // Never lock users out because the limiter itself failed
+            console.error('Rate limiter error:', err);
+            next();
+        }
+    };
+};
+
+// Socket events that are limited, and the rule each one draws from.
+// Everything else passes straight through. Events that queue songs share a
+// budget so none of them is a way around the others.
+const LIMITED_SOCKET_EVENTS = {
+    send_message: 'send_message',
+    send_reaction: 'send_reaction',
+    request_song: 'request_song',
+    add_to_queue: 'add_to_queue',
+    play_again: 'add_to_queue',
+    load_playlist: 'load_playlist'
+};
+
+// Socket.IO per-socket packet middleware. Limited events are dropped and the
+// client gets a `rate_limited` event instead. Guests can get a new identity
+// by reconnecting, so the per-IP bucket is what holds them back.
+exports.socketRateLimit = (socket, events = LIMITED_SOCKET_EVENTS) => {
+    const ip = getSocketIp(socket);
+
+    return async ([event], next) => {
+        if (!Object.hasOwn(events, event)) return next();
+        try {
+            const result = await limiter.consume(events[event], { identity: socket.data.identityId, ip });
+            if (result.allowed) return next();
+
+            socket.emit('rate_limited', { event, retryAfterMs: result.retryAfterMs });
+        } catch (err) {
+            console.error('Rate limiter error:', err);
+            next();
+        }
+    };
+};
+
+exports.limiter = limiter;
+exports.TRUSTED_PROXY_HOPS = TRUSTED_PROXY_HOPS;
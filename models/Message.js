@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const MAX_MESSAGE_LENGTH = 500;
+
+const messageSchema = new mongoose.Schema({
+    roomId: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    // Stamped by the server from the socket identity, never from the client
+    senderId: {
+        type: String,
+        required: true
+    },
+    senderName: String,
+    senderColor: String,
+    text: {
+        type: String,
+        trim: true,
+        maxLength: MAX_MESSAGE_LENGTH
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    // Soft delete keeps the slot in history so pagination stays stable
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+messageSchema.index({ roomId: 1, createdAt: -1 });
+
+const Message = mongoose.model('Message', messageSchema);
+Message.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+module.exports = Message;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Days a notification is kept, read or not
+const NOTIFICATION_TTL_DAYS = parseInt(process.env.NOTIFICATION_TTL_DAYS, 10) || 30;
+
+const NOTIFICATION_TYPES = [
+    'dj_live',
+    'new_follower',
+    'request_accepted',
+    'request_declined',
+    'dj_permission_granted'
+];
+
+// One entry in a user's inbox. Clients build the text from `type` and the
+// fields it uses.
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    // Who caused it: the DJ, the new follower, the DJ who handled a request
+    actor: {
+        id: String,
+        name: String
+    },
+    roomId: String,
+    roomName: String,
+    // The requested song, for request_accepted / request_declined
+    song: {
+        id: String,
+        title: String
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: NOTIFICATION_TTL_DAYS * 24 * 60 * 60
+    }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+module.exports = Notification;
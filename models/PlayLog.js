@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One entry per song played in a room
+const playLogSchema = new mongoose.Schema({
+    roomId: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    song: {
+        id: { type: String, required: true },
+        title: String,
+        thumbnail: String,
+        channel: String,
+        duration: Number
+    },
+    // User id or guest id of whoever put the song in the queue
+    addedBy: String,
+    addedByName: String,
+    // Identities present at any point while the song played
+    listenerIds: [
+        {
+            type: String
+        }
+    ],
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    endedAt: {
+        type: Date,
+        default: null
+    },
+    skipped: {
+        type: Boolean,
+        default: false
+    }
+});
+
+playLogSchema.index({ roomId: 1, startedAt: -1 });
+
+const PlayLog = mongoose.model('PlayLog', playLogSchema);
+module.exports = PlayLog;
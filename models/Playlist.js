@@ -1,30 +1,83 @@
 const mongoose = require('mongoose');
 
+// Most songs one playlist can hold
+const MAX_PLAYLIST_SONGS = parseInt(process.env.PLAYLIST_MAX_SONGS, 10) || 500;
+
 const playlistSchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
-        trim: true
+        trim: true,
+        maxLength: 100
     },
     owner: {
         type: mongoose.Schema.ObjectId,
         ref: 'User',
         required: true
     },
-    songs: [
+    // private: owner and collaborators only; unlisted: anyone with the link;
+    // public: also listed at /api/playlists/public
+    visibility: {
+        type: String,
+        enum: ['private', 'unlisted', 'public'],
+        default: 'private'
+    },
+    // Editors can add and remove songs; viewers can read a private playlist
+    collaborators: [
+        {
+            user: {
+                type: mongoose.Schema.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            role: {
+                type: String,
+                enum: ['viewer', 'editor'],
+                default: 'viewer'
+            },
+            addedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    // Users notified when the playlist changes
+    followers: [
         {
-            id: { type: String, required: true },
-            title: { type: String, required: true },
-            thumbnail: String,
-            channel: String,
-            duration: Number
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
         }
     ],
+    songs: {
+        type: [
+            {
+                id: { type: String, required: true },
+                title: { type: String, required: true },
+                thumbnail: String,
+                channel: String,
+                duration: Number
+            }
+        ],
+        validate: {
+            validator: songs => songs.length <= MAX_PLAYLIST_SONGS,
+            message: `A playlist can hold at most ${MAX_PLAYLIST_SONGS} songs.`
+        }
+    },
+    // Bumped on every edit; clients send it back to detect conflicting edits
+    version: {
+        type: Number,
+        default: 0
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+playlistSchema.index({ visibility: 1, createdAt: -1 });
+playlistSchema.index({ 'collaborators.user': 1 });
+playlistSchema.index({ followers: 1 });
+
 const Playlist = mongoose.model('Playlist', playlistSchema);
+Playlist.MAX_PLAYLIST_SONGS = MAX_PLAYLIST_SONGS;
 module.exports = Playlist;
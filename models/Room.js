@@ -17,6 +17,53 @@ const roomSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // bcrypt hash, never returned unless explicitly selected
+    password: {
+        type: String,
+        select: false
+    },
+    inviteCodes: [
+        {
+            code: { type: String, required: true },
+            createdBy: String,
+            expiresAt: Date,
+            // null means the code can be used any number of times
+            usesLeft: {
+                type: Number,
+                default: null
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    // Identities that already got past the password or an invite code
+    accessList: [
+        {
+            type: String
+        }
+    ],
+    // User ids or guest ids banned from joining
+    bans: [
+        {
+            targetId: { type: String, required: true },
+            bannedBy: String,
+            reason: String,
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    // Muted identities can't chat, react or request songs until expiresAt
+    mutes: [
+        {
+            targetId: { type: String, required: true },
+            mutedBy: String,
+            expiresAt: { type: Date, required: true }
+        }
+    ],
     tags: [
         {
             type: String,
@@ -43,6 +90,13 @@ const roomSchema = new mongoose.Schema({
             ref: 'User'
         }
     ],
+    // Users notified when the room starts playing
+    followers: [
+        {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+        }
+    ],
     queue: [
         {
             id: String,
@@ -50,24 +104,100 @@ const roomSchema = new mongoose.Schema({
             title: String,
             thumbnail: String,
             channel: String,
-            duration: Number
+            duration: Number,
+            addedBy: String,
+            addedByName: String
         }
     ],
+    // What happens when a song that is already queued or playing is added
+    // again: block it, allow it, or allow it once `duplicateGap` other songs
+    // separate the two plays
+    duplicatePolicy: {
+        type: String,
+        enum: ['block', 'allow', 'after'],
+        default: 'block'
+    },
+    duplicateGap: {
+        type: Number,
+        min: 1,
+        max: 100,
+        default: 5
+    },
+    // 'fair' interleaves contributors round-robin (see utils/fairQueue.js)
+    // and caps how many songs each of them can have waiting
+    queueMode: {
+        type: String,
+        enum: ['ordered', 'fair'],
+        default: 'ordered'
+    },
+    fairShareLimit: {
+        type: Number,
+        min: 1,
+        max: 50,
+        default: 3
+    },
+    // What happens when a song ends: 'repeat_one' plays it again, 'loop_queue'
+    // sends it to the back of the queue, and 'autoplay' keeps pulling songs
+    // from autoplayPlaylist (one of the owner's playlists) once the queue is empty
+    playbackMode: {
+        type: String,
+        enum: ['normal', 'repeat_one', 'loop_queue', 'autoplay'],
+        default: 'normal'
+    },
+    autoplayPlaylist: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Playlist',
+        default: null
+    },
+    // Index of the next playlist song autoplay will pick
+    autoplayCursor: {
+        type: Number,
+        default: 0
+    },
+    // Bumped on every queue write so concurrent edits can detect each other;
+    // see services/queueService.js
+    queueVersion: {
+        type: Number,
+        default: 0
+    },
     currentSong: {
         id: String,
         title: String,
         thumbnail: String,
         channel: String,
-        duration: Number
+        duration: Number,
+        addedBy: String,
+        addedByName: String
     },
     isPlaying: {
         type: Boolean,
         default: false
     },
+    // Position (seconds) when playback was last paused or seeked
     currentTime: {
         type: Number,
         default: 0
     },
+    // Server time at which position 0 of the current song would have played;
+    // only meaningful while isPlaying is true
+    playStartedAt: {
+        type: Date,
+        default: null
+    },
+    // Exponentially decaying activity score (joins, plays) used for trending;
+    // see services/roomService.js
+    trendingScore: {
+        type: Number,
+        default: 0
+    },
+    trendingUpdatedAt: Date,
+    // Fraction of current listeners whose votes skip the current song
+    skipThreshold: {
+        type: Number,
+        min: 0.1,
+        max: 1,
+        default: 0.5
+    },
     songRequests: [
         {
             _id: mongoose.Schema.Types.ObjectId,
@@ -98,5 +228,17 @@ const roomSchema = new mongoose.Schema({
     }
 });
 
+// Live playback position in seconds, computed from the server clock
+roomSchema.methods.getPlaybackPosition = function (now = Date.now()) {
+    let position = this.currentTime || 0;
+    if (this.isPlaying && this.playStartedAt) {
+        position = (now - this.playStartedAt.getTime()) / 1000;
+    }
+    if (this.currentSong?.duration) position = Math.min(position, this.currentSong.duration);
+    return Math.max(0, position);
+};
+
+roomSchema.index({ followers: 1 });
+
 const Room = mongoose.model('Room', roomSchema);
 module.exports = Room;
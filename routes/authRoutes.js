@@ -1,11 +1,20 @@
 const express = require('express');
 const authController = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
 
 const router = express.Router();
 
-router.post('/signup', authController.signup);
-router.post('/login', authController.login);
+router.post('/signup', rateLimit('signup'), authController.signup);
+// Limit per IP, and per target account from that IP so one address can't
+// brute-force many. The account bucket includes the IP: keyed on the email
+// alone, anyone could lock its owner out.
+const loginKey = (req) => {
+    const email = String(req.body?.email || '').toLowerCase();
+    return email ? `${email}:${req.ip}` : undefined;
+};
+
+router.post('/login', rateLimit('login', { keyFrom: loginKey }), authController.login);
 router.get('/logout', authController.logout);
 router.get('/me', protect, authController.getMe);
 
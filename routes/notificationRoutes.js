@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+
+router.use(protect);
+
+router.get('/', notificationController.getNotifications);
+router.patch('/read', notificationController.markAllRead);
+router.patch('/:notificationId/read', notificationController.markRead);
+router.delete('/', notificationController.clearAll);
+router.delete('/:notificationId', notificationController.clearNotification);
+
+module.exports = router;
@@ -1,61 +1,288 @@
 const express = require('express');
 const router = express.Router();
 const Playlist = require('../models/Playlist');
+const playlistService = require('../services/playlistService');
+const followService = require('../services/followService');
+const { announcePlaylistUpdated } = require('../sockets/socketHandler');
 const { protect } = require('../middleware/authMiddleware');
+const sendError = require('../utils/sendError');
 
-// All playlist routes are protected
+// The playlist version the client last saw, if it sent one (body or ?version=)
+const versionOf = (req) => req.body?.version ?? req.query.version;
+
+const sendPlaylist = (req, res, playlist, statusCode = 200) => {
+    res.status(statusCode).json({
+        status: 'success',
+        data: { playlist: playlistService.serializePlaylist(playlist, req.user?.id) }
+    });
+};
+
+// Tell the playlist's followers what changed ('songs', 'name' or 'settings')
+const announceChange = (req, playlist, change) => {
+    const io = req.app.get('io');
+    if (io) announcePlaylistUpdated(io, playlist, { actorId: req.user.id, change });
+};
+
+// Public playlists, readable without logging in
+router.get('/public', async (req, res) => {
+    try {
+        const { playlists, total, page, limit } = await playlistService.listPublic(req.query);
+        res.status(200).json({
+            status: 'success',
+            results: playlists.length,
+            total,
+            page,
+            limit,
+            data: { playlists: playlists.map(p => playlistService.serializePlaylist(p, null)) }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// A public or unlisted playlist by link
+router.get('/public/:id', async (req, res) => {
+    try {
+        const playlist = await playlistService.getSharedPlaylist(req.params.id);
+        res.status(200).json({
+            status: 'success',
+            data: { playlist: playlistService.serializePlaylist(playlist, null) }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Everything below needs a logged-in user
 router.use(protect);
 
-// Get all user playlists
+// Get the playlists the user owns or collaborates on
 router.get('/', async (req, res) => {
     try {
-        const playlists = await Playlist.find({ owner: req.user.id }).sort('-createdAt');
+        const playlists = await playlistService.listForUser(req.user.id);
         res.status(200).json({
             status: 'success',
             results: playlists.length,
-            data: { playlists }
+            data: { playlists: playlists.map(p => playlistService.serializePlaylist(p, req.user.id)) }
         });
     } catch (err) {
         res.status(400).json({ status: 'error', message: err.message });
     }
 });
 
+// Playlists the user follows
+router.get('/followed', async (req, res) => {
+    try {
+        const playlists = await followService.listFollowedPlaylists(req.user.id);
+        res.status(200).json({
+            status: 'success',
+            results: playlists.length,
+            data: { playlists: playlists.map(p => playlistService.serializePlaylist(p, req.user.id)) }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
 // Create a new playlist
 router.post('/', async (req, res) => {
     try {
-        const newPlaylist = await Playlist.create({
+        const newPlaylist = await playlistService.createPlaylist(req.user.id, {
             name: req.body.name,
-            owner: req.user.id,
-            songs: req.body.songs || []
+            visibility: req.body.visibility,
+            songs: req.body.songs
+        });
+        sendPlaylist(req, res, newPlaylist, 201);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Save a room's current song and queue as a new playlist
+router.post('/from-room/:roomId', async (req, res) => {
+    try {
+        const playlist = await playlistService.createFromRoom(req.params.roomId, req.user.id, { name: req.body.name });
+        sendPlaylist(req, res, playlist, 201);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Import an M3U, XSPF or JSON playlist, either as JSON
+// ({ content, format, name, visibility }) or as the raw file with those
+// options in the query string. `format` is guessed from the content when
+// left out. The body size limit is raised for this route in server.js.
+router.post('/import', async (req, res) => {
+    try {
+        const options = typeof req.body === 'string'
+            ? { ...req.query, content: req.body }
+            : { ...req.query, ...req.body };
+        const { playlist, skipped } = await playlistService.importPlaylist(req.user.id, {
+            content: options.content,
+            format: options.format,
+            name: options.name,
+            visibility: options.visibility
         });
         res.status(201).json({
             status: 'success',
-            data: { playlist: newPlaylist }
+            imported: playlist.songs.length,
+            skipped,
+            data: { playlist: playlistService.serializePlaylist(playlist, req.user.id) }
         });
     } catch (err) {
-        res.status(400).json({ status: 'error', message: err.message });
+        sendError(res, err);
     }
 });
 
-// Update a playlist (add songs or change name)
-router.patch('/:id', async (req, res) => {
+router.get('/:id', async (req, res) => {
     try {
-        const playlist = await Playlist.findOneAndUpdate(
-            { _id: req.params.id, owner: req.user.id },
-            req.body,
-            { new: true, runValidators: true }
+        const playlist = await playlistService.getPlaylist(req.params.id, req.user.id);
+        sendPlaylist(req, res, playlist);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Download as ?format=m3u|xspf|json (default json)
+router.get('/:id/export', async (req, res) => {
+    try {
+        const { playlist, body, contentType, extension } = await playlistService.exportPlaylist(
+            req.params.id,
+            req.user.id,
+            req.query.format || 'json'
         );
+        const filename = (playlist.name.replace(/[^\w\- ]+/g, '').trim() || 'playlist').slice(0, 100);
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+        res.status(200).send(body);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
 
-        if (!playlist) {
-            return res.status(404).json({ status: 'error', message: 'Playlist not found' });
-        }
+// Songs: the owner and editors can add, remove and move them. Each edit
+// may carry `version`; a stale one gets a 409.
+router.post('/:id/songs', async (req, res) => {
+    try {
+        const playlist = await playlistService.addSong(req.params.id, req.user.id, {
+            song: req.body.song,
+            position: req.body.position,
+            version: versionOf(req)
+        });
+        sendPlaylist(req, res, playlist, 201);
+        announceChange(req, playlist, 'songs');
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete('/:id/songs/at/:index', async (req, res) => {
+    try {
+        const playlist = await playlistService.removeSongAt(req.params.id, req.user.id, req.params.index, {
+            version: versionOf(req)
+        });
+        sendPlaylist(req, res, playlist);
+        announceChange(req, playlist, 'songs');
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete('/:id/songs/:entryId', async (req, res) => {
+    try {
+        const playlist = await playlistService.removeSong(req.params.id, req.user.id, req.params.entryId, {
+            version: versionOf(req)
+        });
+        sendPlaylist(req, res, playlist);
+        announceChange(req, playlist, 'songs');
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.post('/:id/songs/:entryId/move', async (req, res) => {
+    try {
+        const playlist = await playlistService.moveSong(req.params.id, req.user.id, req.params.entryId, {
+            toIndex: req.body.toIndex,
+            version: versionOf(req)
+        });
+        sendPlaylist(req, res, playlist);
+        announceChange(req, playlist, 'songs');
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.patch('/:id/name', async (req, res) => {
+    try {
+        const playlist = await playlistService.renamePlaylist(req.params.id, req.user.id, {
+            name: req.body.name,
+            version: versionOf(req)
+        });
+        sendPlaylist(req, res, playlist);
+        announceChange(req, playlist, 'name');
+    } catch (err) {
+        sendError(res, err);
+    }
+});
 
+// Collaborators, managed by the owner
+router.put('/:id/collaborators/:userId', async (req, res) => {
+    try {
+        const playlist = await playlistService.setCollaborator(req.params.id, req.user.id, {
+            userId: req.params.userId,
+            role: req.body.role
+        });
+        sendPlaylist(req, res, playlist);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete('/:id/collaborators/:userId', async (req, res) => {
+    try {
+        const playlist = await playlistService.removeCollaborator(req.params.id, req.user.id, req.params.userId);
+        sendPlaylist(req, res, playlist);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Following: anyone who can see a playlist can follow it
+router.post('/:id/follow', async (req, res) => {
+    try {
+        const playlist = await followService.followPlaylist(req.params.id, req.user.id);
         res.status(200).json({
             status: 'success',
-            data: { playlist }
+            message: 'Playlist followed successfully',
+            data: { followersCount: playlist.followers.length }
         });
     } catch (err) {
-        res.status(400).json({ status: 'error', message: err.message });
+        sendError(res, err);
+    }
+});
+
+router.delete('/:id/unfollow', async (req, res) => {
+    try {
+        const playlist = await followService.unfollowPlaylist(req.params.id, req.user.id);
+        res.status(200).json({
+            status: 'success',
+            message: 'Playlist unfollowed successfully',
+            data: { followersCount: playlist.followers.length }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Update playlist settings (owner only): name and visibility
+router.patch('/:id', async (req, res) => {
+    try {
+        const playlist = await playlistService.updatePlaylist(req.params.id, req.user.id, req.body);
+        sendPlaylist(req, res, playlist);
+        announceChange(req, playlist, 'settings');
+    } catch (err) {
+        sendError(res, err);
     }
 });
 
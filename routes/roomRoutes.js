@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const roomController = require('../controllers/roomController');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+
+// Rooms
+router.get('/', roomController.getRooms);
+router.get('/discover', roomController.discoverRooms);
+router.get('/followed', protect, roomController.getFollowedRooms);
+router.post('/', protect, roomController.createRoom);
+router.get('/:roomId', optionalAuth, roomController.getRoom);
+router.patch('/:roomId', protect, roomController.updateRoom);
+router.delete('/:roomId', protect, roomController.deleteRoom);
+
+// Following
+router.post('/:roomId/follow', protect, roomController.followRoom);
+router.delete('/:roomId/unfollow', protect, roomController.unfollowRoom);
+
+// Play history
+router.get('/:roomId/history', protect, roomController.getRoomHistory);
+
+// Queue
+router.post('/:roomId/queue/playlist', protect, rateLimit('load_playlist'), roomController.loadPlaylist);
+
+// Chat
+router.get('/:roomId/messages', protect, roomController.getRoomMessages);
+
+// Moderation
+router.get('/:roomId/moderation', protect, roomController.getModeration);
+router.post('/:roomId/bans', protect, roomController.banUser);
+router.delete('/:roomId/bans/:targetId', protect, roomController.unbanUser);
+router.post('/:roomId/mutes', protect, roomController.muteUser);
+router.delete('/:roomId/mutes/:targetId', protect, roomController.unmuteUser);
+
+module.exports = router;
@@ -0,0 +1,98 @@
+// Simulates many lobby clients and a burst of room changes, comparing the old
+// "emit the full room list to everyone on every change" approach with the
+// debounced, diffed lobby feed. No database needed: rooms live in memory.
+//
+//   node scripts/benchmarkLobby.js --clients=200 --rooms=500 --events=300
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { createLobbyFeed } = require('../sockets/lobbyFeed');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, Number(value)];
+}));
+
+const CLIENTS = args.clients || 200;
+const ROOMS = args.rooms || 500;
+const EVENTS = args.events || 300;
+// Delay between simulated joins/leaves
+const EVENT_INTERVAL_MS = args.interval || 5;
+const WINDOW_MS = args.window || 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const makeRooms = () => Array.from({ length: ROOMS }, (_, i) => ({
+    id: `room-${i}`,
+    name: `Room ${i}`,
+    hasPassword: false,
+    userCount: 0,
+    currentSong: null,
+    tags: ['bench'],
+    description: 'Benchmark room'
+}));
+
+const run = async (mode) => {
+    const rooms = makeRooms();
+    const server = http.createServer();
+    const io = new Server(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+
+    const loadRooms = async () => rooms.map(r => ({ ...r }));
+    const feed = createLobbyFeed({ loadRooms, windowMs: WINDOW_MS });
+
+    io.on('connection', (socket) => {
+        if (mode === 'feed') feed.subscribe(socket);
+    });
+
+    const stats = { messages: 0, bytes: 0 };
+    const clients = [];
+    for (let i = 0; i < CLIENTS; i++) {
+        const client = connect(`http://localhost:${port}`, { transports: ['websocket'], forceNew: true });
+        const count = (payload) => {
+            stats.messages += 1;
+            stats.bytes += JSON.stringify(payload).length;
+        };
+        client.on('update_active_rooms', count);
+        client.on('lobby_update', count);
+        clients.push(client);
+    }
+    await Promise.all(clients.map(c => new Promise(resolve => c.on('connect', resolve))));
+    // Let lobby snapshots land before measuring
+    await sleep(200);
+
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < EVENTS; i++) {
+        const room = rooms[Math.floor(Math.random() * rooms.length)];
+        room.userCount = Math.max(0, room.userCount + (Math.random() < 0.7 ? 1 : -1));
+
+        if (mode === 'naive') {
+            const list = (await loadRooms()).sort((a, b) => b.userCount - a.userCount);
+            io.emit('update_active_rooms', list);
+        } else {
+            feed.schedule(io);
+        }
+        await sleep(EVENT_INTERVAL_MS);
+    }
+    // Wait for the last window to flush and deliveries to drain
+    await sleep(WINDOW_MS + 500);
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    clients.forEach(c => c.close());
+    io.close();
+
+    return { mode, ...stats, elapsedMs: Math.round(elapsedMs) };
+};
+
+(async () => {
+    console.log(`clients=${CLIENTS} rooms=${ROOMS} events=${EVENTS} interval=${EVENT_INTERVAL_MS}ms window=${WINDOW_MS}ms`);
+    for (const mode of ['naive', 'feed']) {
+        const result = await run(mode);
+        console.log(
+            `${result.mode.padEnd(6)} messages=${result.messages} ` +
+            `bytes=${(result.bytes / 1024 / 1024).toFixed(2)}MB elapsed=${result.elapsedMs}ms`
+        );
+    }
+    process.exit(0);
+})();
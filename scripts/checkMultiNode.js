@@ -0,0 +1,200 @@
+// Runs two Socket.IO nodes in separate processes against the Redis stand-in
+// and checks that presence, room broadcasts and the lobby feed are shared
+// between them.
+//
+//   node scripts/checkMultiNode.js
+//   MONGO_URI=mongodb://localhost/check node scripts/checkMultiNode.js
+//
+// With MONGO_URI each node runs the real socket handlers (initializeSocket)
+// and the check joins a room through `join_room`. Without a database the
+// handlers can't run; the nodes then serve the real lobby feed over rooms
+// kept in the stand-in, and presence is checked on the stores directly.
+const http = require('http');
+const { fork } = require('child_process');
+
+const ROOM_ID = 'multi-node-check';
+
+// Lobby entries for the database-less mode, kept in the stand-in
+const lobbyKey = 'check:lobby-rooms';
+
+const runNode = async () => {
+    const { Server } = require('socket.io');
+    const Redis = require('ioredis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const { RedisPresenceStore } = require('../sockets/presence');
+
+    const pubClient = new Redis(process.env.REDIS_URL);
+    const subClient = pubClient.duplicate();
+    const presence = new RedisPresenceStore({ client: pubClient, prefix: 'check:' });
+
+    const server = http.createServer();
+    const io = new Server(server, { adapter: createAdapter(pubClient, subClient) });
+
+    if (process.env.MONGO_URI) {
+        await require('mongoose').connect(process.env.MONGO_URI);
+        const { initializeSocket } = require('../sockets/socketHandler');
+        initializeSocket(io, { presence, multiNode: true });
+    } else {
+        const { createLobbyFeed } = require('../sockets/lobbyFeed');
+        const feed = createLobbyFeed({
+            loadRooms: async () => Object.values(await pubClient.hgetall(lobbyKey)).map(json => JSON.parse(json)),
+            windowMs: 50
+        });
+        feed.attach(io, { shared: true });
+
+        io.on('connection', (socket) => {
+            socket.on('subscribe_lobby', () => feed.subscribe(socket));
+            // Stands in for whatever changed the room (a join, a new song)
+            socket.on('check_set_room', async (room, ack) => {
+                await pubClient.hset(lobbyKey, room.id, JSON.stringify(room));
+                feed.schedule(io);
+                ack();
+            });
+        });
+    }
+
+    server.listen(0, () => process.send({ port: server.address().port }));
+};
+
+const startNode = (env) => new Promise((resolve, reject) => {
+    const child = fork(__filename, ['--node'], { env: { ...process.env, ...env } });
+    child.once('message', ({ port }) => resolve({ child, port }));
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`Node exited with code ${code}`)));
+});
+
+const waitFor = (socket, event, predicate = () => true) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 5000);
+    const handler = (payload) => {
+        if (!predicate(payload)) return;
+        clearTimeout(timer);
+        socket.off(event, handler);
+        resolve(payload);
+    };
+    socket.on(event, handler);
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const check = (label, ok) => {
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}`);
+    if (!ok) process.exitCode = 1;
+};
+
+// Record a client's lobby: the snapshot version, then every update
+const watchLobby = async (client) => {
+    const snapshot = waitFor(client, 'lobby_snapshot');
+    client.emit('subscribe_lobby');
+    const { version, rooms } = await snapshot;
+    const lobby = { start: version, versions: [], rooms: new Map(rooms.map(r => [r.id, r])) };
+    client.on('lobby_update', ({ version: next, added, changed, removed }) => {
+        lobby.versions.push(next);
+        [...added, ...changed].forEach(room => lobby.rooms.set(room.id, room));
+        removed.forEach(id => lobby.rooms.delete(id));
+    });
+    return lobby;
+};
+
+const hasNoGaps = ({ start, versions }) => versions.every((version, i) => version === start + i + 1);
+
+// Real handlers: join through `join_room` on both nodes
+const checkHandlers = async (alice, bob) => {
+    const aliceLobby = await watchLobby(alice);
+
+    alice.emit('join_room', { roomId: ROOM_ID, userProfile: { name: 'Alice' } });
+    await waitFor(alice, 'update_listeners', members => members.length === 1);
+
+    const aliceSeesBob = waitFor(alice, 'update_listeners', members => members.length === 2);
+    bob.emit('join_room', { roomId: ROOM_ID, userProfile: { name: 'Bob' } });
+    const members = await aliceSeesBob;
+    check('join on node 2 reaches a listener on node 1', members.some(m => m.name === 'Bob'));
+
+    const bobLeft = waitFor(alice, 'update_listeners', list => list.length === 1);
+    await bob.emitWithAck('leave_room', { roomId: ROOM_ID });
+    check('leave on node 2 updates presence seen by node 1', (await bobLeft)[0].name === 'Alice');
+
+    await sleep(1500);
+    check('node 1 lobby shows the room and its listener count',
+        aliceLobby.rooms.get(ROOM_ID)?.userCount === 1);
+    check(`lobby versions have no gaps (${aliceLobby.start} then ${aliceLobby.versions.join(', ')})`,
+        hasNoGaps(aliceLobby));
+
+    alice.emit('delete_room', { roomId: ROOM_ID });
+    await sleep(200);
+};
+
+// No database: the lobby feed on both nodes, presence on the stores
+const checkWithoutDatabase = async (alice, bob, redisUrl) => {
+    const [aliceLobby, bobLobby] = await Promise.all([watchLobby(alice), watchLobby(bob)]);
+
+    await bob.emitWithAck('check_set_room', { id: ROOM_ID, name: 'Check', userCount: 1 });
+    await sleep(300);
+    await alice.emitWithAck('check_set_room', { id: ROOM_ID, name: 'Check', userCount: 2 });
+    await sleep(300);
+    await bob.emitWithAck('check_set_room', { id: 'second-room', name: 'Second', userCount: 1 });
+    await sleep(300);
+
+    for (const [name, lobby] of [['node 1', aliceLobby], ['node 2', bobLobby]]) {
+        check(`${name} lobby has both rooms with the latest counts`,
+            lobby.rooms.get(ROOM_ID)?.userCount === 2 && lobby.rooms.has('second-room'));
+        check(`${name} lobby versions have no gaps (${lobby.start} then ${lobby.versions.join(', ')})`,
+            lobby.versions.length === 3 && hasNoGaps(lobby));
+    }
+
+    const Redis = require('ioredis');
+    const { RedisPresenceStore } = require('../sockets/presence');
+    const clients = [new Redis(redisUrl), new Redis(redisUrl)];
+    const stores = clients.map((client, i) => new RedisPresenceStore({ client, prefix: 'check:', nodeId: `n${i}` }));
+    try {
+        await stores[0].addListener(ROOM_ID, { id: 'a', identityId: 'alice', name: 'Alice', joinedAt: Date.now() });
+        await stores[1].addListener(ROOM_ID, { id: 'b', identityId: 'bob', name: 'Bob', joinedAt: Date.now() });
+        const counts = await Promise.all(stores.map(store => store.countListeners([ROOM_ID])));
+        check('both stores count two listeners', counts.every(count => count[ROOM_ID] === 2));
+
+        const locks = await Promise.all(stores.map(store => store.acquireLock(`advance:${ROOM_ID}:1`, 1000)));
+        check('only one node gets the advance lock', locks.filter(Boolean).length === 1);
+    } finally {
+        await Promise.all(stores.map(store => store.close()));
+        clients.forEach(client => client.disconnect());
+    }
+};
+
+const main = async () => {
+    const { io: connect } = require('socket.io-client');
+    const { createStandIn } = require('./redisStandIn');
+
+    const standIn = createStandIn();
+    await new Promise(resolve => standIn.listen(0, resolve));
+    const redisUrl = `redis://127.0.0.1:${standIn.address().port}`;
+    const env = { REDIS_URL: redisUrl, JWT_SECRET: process.env.JWT_SECRET || 'multi-node-check' };
+
+    let nodes = [];
+    let clients = [];
+    try {
+        nodes = [await startNode(env), await startNode(env)];
+        clients = nodes.map(({ port }) => connect(`http://localhost:${port}`, {
+            transports: ['websocket'],
+            forceNew: true
+        }));
+        await Promise.all(clients.map(client => waitFor(client, 'connect')));
+
+        if (process.env.MONGO_URI) {
+            await checkHandlers(...clients);
+        } else {
+            console.log('(no MONGO_URI: checking the lobby feed and presence stores, not the socket handlers)');
+            await checkWithoutDatabase(...clients, redisUrl);
+        }
+    } catch (err) {
+        check(err.message, false);
+    } finally {
+        clients.forEach(client => client.disconnect());
+        nodes.forEach(({ child }) => child.kill());
+        standIn.close();
+    }
+};
+
+if (process.argv.includes('--node')) {
+    runNode();
+} else {
+    main();
+}
@@ -0,0 +1,282 @@
+// A tiny in-memory server speaking enough of the Redis protocol for the
+// presence store and the Socket.IO Redis adapter. Meant for trying
+// multi-instance setups locally without installing Redis; not for production.
+//
+//   node scripts/redisStandIn.js --port=6399
+//   REDIS_URL=redis://localhost:6399 PORT=5000 npm start
+//   REDIS_URL=redis://localhost:6399 PORT=5001 npm start
+const net = require('net');
+
+const CRLF = '\r\n';
+
+// --- RESP encoding ---------------------------------------------------------
+
+const simple = (text) => Buffer.from(`+${text}${CRLF}`);
+const error = (text) => Buffer.from(`-ERR ${text}${CRLF}`);
+const integer = (n) => Buffer.from(`:${n}${CRLF}`);
+const bulk = (value) => {
+    if (value === null || value === undefined) return Buffer.from(`$-1${CRLF}`);
+    const buf = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+    return Buffer.concat([Buffer.from(`$${buf.length}${CRLF}`), buf, Buffer.from(CRLF)]);
+};
+const array = (items) => Buffer.concat([
+    Buffer.from(`*${items.length}${CRLF}`),
+    ...items.map(item => (typeof item === 'number' ? integer(item) : bulk(item)))
+]);
+
+// Parse as many complete commands as the buffer holds. Returns the commands
+// (arrays of Buffers) and whatever bytes are left over for the next chunk.
+const parseCommands = (buffer) => {
+    const commands = [];
+    let offset = 0;
+
+    const readLine = () => {
+        const end = buffer.indexOf(CRLF, offset);
+        if (end === -1) return null;
+        const line = buffer.toString('utf8', offset, end);
+        offset = end + 2;
+        return line;
+    };
+
+    while (offset < buffer.length) {
+        const start = offset;
+
+        // Inline commands (e.g. typed into telnet)
+        if (buffer[offset] !== 0x2a) {
+            const line = readLine();
+            if (line === null) { offset = start; break; }
+            if (line.trim()) commands.push(line.trim().split(/\s+/).map(part => Buffer.from(part)));
+            continue;
+        }
+
+        offset += 1;
+        const countLine = readLine();
+        if (countLine === null) { offset = start; break; }
+        const count = Number(countLine);
+
+        const args = [];
+        let complete = true;
+        for (let i = 0; i < count; i++) {
+            if (offset >= buffer.length) { complete = false; break; }
+            offset += 1; // '$'
+            const lenLine = readLine();
+            if (lenLine === null) { complete = false; break; }
+            const len = Number(lenLine);
+            if (offset + len + 2 > buffer.length) { complete = false; break; }
+            args.push(buffer.subarray(offset, offset + len));
+            offset += len + 2;
+        }
+
+        if (!complete) { offset = start; break; }
+        commands.push(args);
+    }
+
+    return { commands, rest: buffer.subarray(offset) };
+};
+
+// Redis-style glob matching for PSUBSCRIBE patterns
+const globToRegExp = (pattern) => new RegExp('^' + pattern
+    .replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.') + '$', 's');
+
+// --- Server ----------------------------------------------------------------
+
+const createStandIn = () => {
+    // key -> { type: 'string' | 'hash' | 'set', value, expiresAt }
+    const data = new Map();
+    const clients = new Set();
+
+    const lookup = (key, type) => {
+        const entry = data.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            data.delete(key);
+            return null;
+        }
+        if (type && entry.type !== type) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return entry;
+    };
+
+    const ensure = (key, type, create) => {
+        const existing = lookup(key, type);
+        if (existing) return existing;
+        const entry = { type, value: create(), expiresAt: null };
+        data.set(key, entry);
+        return entry;
+    };
+
+    const dropIfEmpty = (key, entry) => {
+        if (entry.value.size === 0) data.delete(key);
+    };
+
+    const publish = (channel, message) => {
+        let receivers = 0;
+        for (const client of clients) {
+            if (client.channels.has(channel)) {
+                client.socket.write(array(['message', channel, message]));
+                receivers += 1;
+            }
+            for (const [pattern, regex] of client.patterns) {
+                if (regex.test(channel)) {
+                    client.socket.write(array(['pmessage', pattern, channel, message]));
+                    receivers += 1;
+                }
+            }
+        }
+        return receivers;
+    };
+
+    const subscriptionCount = (client) => client.channels.size + client.patterns.size;
+
+    const commands = {
+        ping: (client, args) => (args.length ? bulk(args[0]) : simple('PONG')),
+        echo: (client, [message]) => bulk(message),
+        info: () => bulk(`# Server${CRLF}redis_version:7.0.0-standin${CRLF}loading:0${CRLF}`),
+        select: () => simple('OK'),
+        client: () => simple('OK'),
+        quit: (client) => {
+            client.socket.end(simple('OK'));
+            return null;
+        },
+
+        get: (client, [key]) => bulk(lookup(key.toString(), 'string')?.value ?? null),
+        set: (client, [key, value, ...options]) => {
+            const name = key.toString();
+            let expiresAt = null;
+            let nx = false;
+            for (let i = 0; i < options.length; i++) {
+                const option = options[i].toString().toLowerCase();
+                if (option === 'nx') nx = true;
+                else if (option === 'px') expiresAt = Date.now() + Number(options[++i]);
+                else if (option === 'ex') expiresAt = Date.now() + Number(options[++i]) * 1000;
+            }
+            if (nx && lookup(name)) return bulk(null);
+            data.set(name, { type: 'string', value, expiresAt });
+            return simple('OK');
+        },
+        del: (client, keys) => integer(keys.filter(key => lookup(key.toString()) && data.delete(key.toString())).length),
+        exists: (client, keys) => integer(keys.filter(key => lookup(key.toString())).length),
+
+        hset: (client, [key, ...pairs]) => {
+            const entry = ensure(key.toString(), 'hash', () => new Map());
+            let added = 0;
+            for (let i = 0; i < pairs.length; i += 2) {
+                const field = pairs[i].toString();
+                if (!entry.value.has(field)) added += 1;
+                entry.value.set(field, pairs[i + 1]);
+            }
+            return integer(added);
+        },
+        hget: (client, [key, field]) => bulk(lookup(key.toString(), 'hash')?.value.get(field.toString()) ?? null),
+        hdel: (client, [key, ...fields]) => {
+            const entry = lookup(key.toString(), 'hash');
+            if (!entry) return integer(0);
+            const removed = fields.filter(field => entry.value.delete(field.toString())).length;
+            dropIfEmpty(key.toString(), entry);
+            return integer(removed);
+        },
+        hgetall: (client, [key]) => {
+            const entry = lookup(key.toString(), 'hash');
+            return array(entry ? [...entry.value].flat() : []);
+        },
+        hvals: (client, [key]) => array([...(lookup(key.toString(), 'hash')?.value.values() || [])]),
+        hlen: (client, [key]) => integer(lookup(key.toString(), 'hash')?.value.size || 0),
+
+        sadd: (client, [key, ...members]) => {
+            const entry = ensure(key.toString(), 'set', () => new Set());
+            let added = 0;
+            members.forEach(member => {
+                const value = member.toString();
+                if (!entry.value.has(value)) {
+                    entry.value.add(value);
+                    added += 1;
+                }
+            });
+            return integer(added);
+        },
+        srem: (client, [key, ...members]) => {
+            const entry = lookup(key.toString(), 'set');
+            if (!entry) return integer(0);
+            const removed = members.filter(member => entry.value.delete(member.toString())).length;
+            dropIfEmpty(key.toString(), entry);
+            return integer(removed);
+        },
+        smembers: (client, [key]) => array([...(lookup(key.toString(), 'set')?.value || [])]),
+        scard: (client, [key]) => integer(lookup(key.toString(), 'set')?.value.size || 0),
+        sismember: (client, [key, member]) => integer(lookup(key.toString(), 'set')?.value.has(member.toString()) ? 1 : 0),
+
+        publish: (client, [channel, message]) => integer(publish(channel.toString(), message)),
+        subscribe: (client, channels) => Buffer.concat(channels.map(channel => {
+            client.channels.add(channel.toString());
+            return array(['subscribe', channel, subscriptionCount(client)]);
+        })),
+        psubscribe: (client, patterns) => Buffer.concat(patterns.map(pattern => {
+            client.patterns.set(pattern.toString(), globToRegExp(pattern.toString()));
+            return array(['psubscribe', pattern, subscriptionCount(client)]);
+        })),
+        unsubscribe: (client, channels) => {
+            const targets = channels.length ? channels.map(String) : [...client.channels];
+            if (!targets.length) return array(['unsubscribe', null, 0]);
+            return Buffer.concat(targets.map(channel => {
+                client.channels.delete(channel);
+                return array(['unsubscribe', channel, subscriptionCount(client)]);
+            }));
+        },
+        punsubscribe: (client, patterns) => {
+            const targets = patterns.length ? patterns.map(String) : [...client.patterns.keys()];
+            if (!targets.length) return array(['punsubscribe', null, 0]);
+            return Buffer.concat(targets.map(pattern => {
+                client.patterns.delete(pattern);
+                return array(['punsubscribe', pattern, subscriptionCount(client)]);
+            }));
+        },
+        pubsub: (client, [subcommand, ...channels]) => {
+            if (subcommand.toString().toLowerCase() !== 'numsub') return error('unsupported PUBSUB subcommand');
+            return array(channels.flatMap(channel => {
+                const name = channel.toString();
+                const count = [...clients].filter(c => c.channels.has(name)).length;
+                return [name, count];
+            }));
+        }
+    };
+
+    const server = net.createServer((socket) => {
+        const client = { socket, channels: new Set(), patterns: new Map() };
+        clients.add(client);
+        let pending = Buffer.alloc(0);
+
+        socket.on('data', (chunk) => {
+            const parsed = parseCommands(Buffer.concat([pending, chunk]));
+            pending = parsed.rest;
+
+            for (const [name, ...args] of parsed.commands) {
+                const handler = commands[name.toString().toLowerCase()];
+                if (!handler) {
+                    socket.write(error(`unknown command '${name}'`));
+                    continue;
+                }
+                try {
+                    const reply = handler(client, args);
+                    if (reply) socket.write(reply);
+                } catch (err) {
+                    socket.write(Buffer.from(`-${err.message.startsWith('WRONGTYPE') ? '' : 'ERR '}${err.message}${CRLF}`));
+                }
+            }
+        });
+        socket.on('close', () => clients.delete(client));
+        socket.on('error', () => clients.delete(client));
+    });
+
+    return server;
+};
+
+if (require.main === module) {
+    const portArg = process.argv.find(arg => arg.startsWith('--port='));
+    const port = Number(portArg?.split('=')[1]) || 6399;
+    createStandIn().listen(port, () => console.log(`Redis stand-in listening on ${port}`));
+}
+
+module.exports = { createStandIn };
@@ -1,19 +1,24 @@
+// Before any local module: several read their settings from env when loaded
+const dotenv = require('dotenv');
+dotenv.config();
+
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const mongoose = require('mongoose');
-const dotenv = require('dotenv');
 const cookieParser = require('cookie-parser');
 const authRoutes = require('./routes/authRoutes');
 const playlistRoutes = require('./routes/playlistRoutes');
 const userRoutes = require('./routes/userRoutes');
+const roomRoutes = require('./routes/roomRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
 const { initializeSocket } = require('./sockets/socketHandler');
-
-dotenv.config();
+const { createPresence } = require('./sockets/presence');
+const { TRUSTED_PROXY_HOPS } = require('./middleware/rateLimitMiddleware');
 
 const app = express();
-app.set('trust proxy', 1);
+app.set('trust proxy', TRUSTED_PROXY_HOPS);
 const allowedOrigins = [
     "http://localhost:5173",
     "http://localhost:5174",
@@ -39,6 +44,14 @@ app.use(cors({
     },
     credentials: true
 }));
+// Imports carry whole playlist files: a full 500-song XSPF export is ~180KB,
+// past the default 100KB. Registered first so the default parser skips them.
+const playlistImportLimit = process.env.PLAYLIST_IMPORT_LIMIT || '2mb';
+app.use(
+    '/api/playlists/import',
+    express.json({ limit: playlistImportLimit }),
+    express.text({ type: ['text/*', 'audio/*', 'application/xspf+xml', 'application/xml'], limit: playlistImportLimit })
+);
 app.use(express.json());
 app.use(cookieParser());
 
@@ -51,6 +64,8 @@ mongoose.connect(process.env.MONGO_URI)
 app.use('/api/auth', authRoutes);
 app.use('/api/playlists', playlistRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 const server = http.createServer(app);
 
@@ -69,8 +84,14 @@ const io = new Server(server, {
     }
 });
 
+// Share presence and fan events out across instances when REDIS_URL is set
+const presence = createPresence();
+if (presence.adapter) io.adapter(presence.adapter);
+
 // Initialize Socket.IO logic
-initializeSocket(io);
+initializeSocket(io, { presence: presence.store, multiNode: !!presence.adapter });
+// Let REST handlers notify connected clients
+app.set('io', io);
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Playlist = require('../models/Playlist');
+const AppError = require('../utils/appError');
+const roomService = require('./roomService');
+const playlistService = require('./playlistService');
+const { canViewRoom, isRoomOwner } = require('../utils/roomPermissions');
+const { isPlaylistOwner, canViewPlaylist } = require('../utils/playlistPermissions');
+
+// Followers are stored on the room or playlist itself (like User.followers),
+// so "who to notify" is one read and "what do I follow" is an indexed query.
+
+const requireUser = (userId) => {
+    if (!userId) throw new AppError('Log in to follow rooms and playlists.', 401);
+};
+
+// Rooms and playlists the user can't see look the same as missing ones
+const findFollowableRoom = async (roomId, userId) => {
+    requireUser(userId);
+    return roomService.getRoom(roomId, userId);
+};
+
+const findFollowablePlaylist = async (playlistId, userId) => {
+    requireUser(userId);
+    return playlistService.getPlaylist(playlistId, userId);
+};
+
+const isFollower = (doc, userId) => !!userId && (doc.followers || []).some(id => String(id) === String(userId));
+
+exports.followRoom = async (roomId, userId) => {
+    const room = await findFollowableRoom(roomId, userId);
+    if (isRoomOwner(room, userId)) throw new AppError('You cannot follow your own room', 400);
+    if (isFollower(room, userId)) throw new AppError('Already following this room', 400);
+
+    return Room.findByIdAndUpdate(room._id, { $addToSet: { followers: userId } }, { new: true });
+};
+
+exports.unfollowRoom = async (roomId, userId) => {
+    requireUser(userId);
+    const room = await Room.findOneAndUpdate(
+        { roomId: roomService.normalizeRoomId(roomId) },
+        { $pull: { followers: userId } },
+        { new: true }
+    );
+    if (!room) throw new AppError('Room not found', 404);
+    return room;
+};
+
+exports.followPlaylist = async (playlistId, userId) => {
+    const playlist = await findFollowablePlaylist(playlistId, userId);
+    if (isPlaylistOwner(playlist, userId)) throw new AppError('You cannot follow your own playlist', 400);
+    if (isFollower(playlist, userId)) throw new AppError('Already following this playlist', 400);
+
+    // Not a versioned edit: following doesn't change what the playlist holds
+    return Playlist.findByIdAndUpdate(playlist._id, { $addToSet: { followers: userId } }, { new: true });
+};
+
+// Unfollowing works even after losing access, so nobody is stuck following
+exports.unfollowPlaylist = async (playlistId, userId) => {
+    requireUser(userId);
+    if (!mongoose.isValidObjectId(playlistId)) throw new AppError('Playlist not found', 404);
+    const playlist = await Playlist.findByIdAndUpdate(
+        playlistId,
+        { $pull: { followers: userId } },
+        { new: true }
+    );
+    if (!playlist) throw new AppError('Playlist not found', 404);
+    return playlist;
+};
+
+// Rooms the user follows and can still see, newest first
+exports.listFollowedRooms = async (userId) => {
+    requireUser(userId);
+    const rooms = await Room.find({ followers: userId }).select('+password').sort('-createdAt');
+    return rooms.filter(room => canViewRoom(room, userId));
+};
+
+exports.listFollowedPlaylists = async (userId) => {
+    requireUser(userId);
+    const playlists = await Playlist.find({ followers: userId })
+        .populate('owner', 'username avatarColor')
+        .sort('-createdAt');
+    return playlists.filter(playlist => canViewPlaylist(playlist, userId));
+};
+
+// Followers who may still see the room or playlist, as user id strings
+exports.roomFollowerIds = (room) => {
+    return (room.followers || []).map(String).filter(id => canViewRoom(room, id));
+};
+
+exports.playlistFollowerIds = (playlist) => {
+    return (playlist.followers || []).map(String).filter(id => canViewPlaylist(playlist, id));
+};
+
+exports.isFollower = isFollower;
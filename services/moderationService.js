@@ -0,0 +1,115 @@
+const Room = require('../models/Room');
+const AppError = require('../utils/appError');
+const { hasDJPermission, isRoomOwner } = require('../utils/roomPermissions');
+
+const findRoom = async (roomId) => {
+    const room = await Room.findOne({ roomId: String(roomId).toLowerCase() });
+    if (!room) throw new AppError('Room not found', 404);
+    return room;
+};
+
+// Owner and DJs moderate listeners; only the owner can moderate DJs,
+// and nobody can moderate the owner
+const assertCanModerate = (room, actorId, targetId) => {
+    if (!hasDJPermission(room, actorId)) {
+        throw new AppError('Only DJs can moderate this room.', 403);
+    }
+    if (!targetId) throw new AppError('No target user given.', 400);
+    if (String(targetId) === String(actorId)) {
+        throw new AppError('You cannot moderate yourself.', 400);
+    }
+    if (isRoomOwner(room, targetId)) {
+        throw new AppError('The room owner cannot be moderated.', 403);
+    }
+    if (hasDJPermission(room, targetId) && !isRoomOwner(room, actorId)) {
+        throw new AppError('Only the room owner can moderate other DJs.', 403);
+    }
+};
+
+const activeMutes = (room, now = new Date()) => room.mutes.filter(m => m.expiresAt > now);
+
+exports.isBanned = (room, identityId) => {
+    return !!room?.bans?.some(b => b.targetId === String(identityId));
+};
+
+exports.isMuted = async (roomId, identityId) => {
+    return !!(await Room.exists({
+        roomId: String(roomId).toLowerCase(),
+        mutes: { $elemMatch: { targetId: String(identityId), expiresAt: { $gt: new Date() } } }
+    }));
+};
+
+exports.getModeration = async (roomId, actorId) => {
+    const room = await findRoom(roomId);
+    if (!hasDJPermission(room, actorId)) {
+        throw new AppError('Only DJs can view moderation lists.', 403);
+    }
+    return { bans: room.bans, mutes: activeMutes(room) };
+};
+
+exports.banUser = async (roomId, actorId, targetId, reason) => {
+    const room = await findRoom(roomId);
+    assertCanModerate(room, actorId, targetId);
+
+    if (exports.isBanned(room, targetId)) return room;
+
+    // A banned DJ loses their permissions as well
+    return Room.findOneAndUpdate(
+        { roomId: room.roomId },
+        {
+            $push: { bans: { targetId: String(targetId), bannedBy: String(actorId), reason } },
+            $pull: { djPermissions: String(targetId), accessList: String(targetId) }
+        },
+        { new: true }
+    );
+};
+
+exports.unbanUser = async (roomId, actorId, targetId) => {
+    const room = await findRoom(roomId);
+    if (!hasDJPermission(room, actorId)) {
+        throw new AppError('Only DJs can moderate this room.', 403);
+    }
+
+    return Room.findOneAndUpdate(
+        { roomId: room.roomId },
+        { $pull: { bans: { targetId: String(targetId) } } },
+        { new: true }
+    );
+};
+
+exports.muteUser = async (roomId, actorId, targetId, durationMinutes) => {
+    const room = await findRoom(roomId);
+    assertCanModerate(room, actorId, targetId);
+
+    const minutes = Number(durationMinutes);
+    if (!(minutes > 0 && minutes <= 7 * 24 * 60)) {
+        throw new AppError('Mute duration must be between 1 minute and 7 days.', 400);
+    }
+
+    const mute = {
+        targetId: String(targetId),
+        mutedBy: String(actorId),
+        expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    };
+
+    // Replace any existing mute and prune expired ones while we're here
+    const mutes = activeMutes(room).filter(m => m.targetId !== mute.targetId);
+    await Room.findOneAndUpdate({ roomId: room.roomId }, { mutes: [...mutes, mute] });
+
+    return mute;
+};
+
+exports.unmuteUser = async (roomId, actorId, targetId) => {
+    const room = await findRoom(roomId);
+    if (!hasDJPermission(room, actorId)) {
+        throw new AppError('Only DJs can moderate this room.', 403);
+    }
+
+    return Room.findOneAndUpdate(
+        { roomId: room.roomId },
+        { $pull: { mutes: { targetId: String(targetId) } } },
+        { new: true }
+    );
+};
+
+exports.assertCanModerate = assertCanModerate;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const AppError = require('../utils/appError');
+
+// Only accounts have an inbox; guest ids are skipped
+const isUserId = (id) => /^[a-f\d]{24}$/i.test(String(id));
+
+// Store one notification per user; `fields` is everything but `user`
+exports.createNotifications = async (userIds, fields) => {
+    const recipients = [...new Set(userIds.map(String))].filter(isUserId);
+    if (!recipients.length) return [];
+    return Notification.insertMany(recipients.map(user => ({ ...fields, user })));
+};
+
+// Newest first. `unread=true` leaves out read ones.
+exports.listForUser = async (userId, { page = 1, limit = 20, unread } = {}) => {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const filter = { user: userId };
+    if (unread === true || unread === 'true') filter.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+            .sort('-createdAt')
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ user: userId, readAt: null })
+    ]);
+
+    return { notifications, total, unreadCount, page: pageNumber, limit: pageSize };
+};
+
+exports.markRead = async (userId, notificationId) => {
+    if (!mongoose.isValidObjectId(notificationId)) throw new AppError('Notification not found', 404);
+    const notification = await Notification.findOne({ _id: notificationId, user: userId });
+    if (!notification) throw new AppError('Notification not found', 404);
+    if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+    }
+    return notification;
+};
+
+// Returns how many were marked
+exports.markAllRead = async (userId) => {
+    const result = await Notification.updateMany({ user: userId, readAt: null }, { readAt: new Date() });
+    return result.modifiedCount;
+};
+
+exports.clearNotification = async (userId, notificationId) => {
+    if (!mongoose.isValidObjectId(notificationId)) throw new AppError('Notification not found', 404);
+    const notification = await Notification.findOneAndDelete({ _id: notificationId, user: userId });
+    if (!notification) throw new AppError('Notification not found', 404);
+};
+
+// Delete the whole inbox, or only what's been read with `readOnly`
+exports.clearAll = async (userId, { readOnly = false } = {}) => {
+    const filter = { user: userId };
+    if (readOnly) filter.readAt = { $ne: null };
+    const result = await Notification.deleteMany(filter);
+    return result.deletedCount;
+};
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const Playlist = require('../models/Playlist');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { canViewRoom } = require('../utils/roomPermissions');
+const { isPlaylistOwner, playlistRole, canViewPlaylist, canEditPlaylist } = require('../utils/playlistPermissions');
+const playlistFormats = require('../utils/playlistFormats');
+const { MAX_SONG_DURATION, songDuration } = require('../utils/songDuration');
+
+const COLLABORATOR_ROLES = ['viewer', 'editor'];
+const VISIBILITIES = ['private', 'unlisted', 'public'];
+// Fields PATCH /api/playlists/:id accepts; songs have their own endpoints
+const UPDATABLE_FIELDS = ['name', 'visibility', 'version'];
+
+// Conflicting writes retried before giving up
+const MAX_RETRIES = 3;
+
+// Playlist songs and queue entries share this shape
+const toPlaylistSong = (song) => ({
+    id: song.id,
+    title: song.title,
+    thumbnail: song.thumbnail,
+    channel: song.channel,
+    duration: song.duration
+});
+
+// Playlists the user can't see look the same as missing ones
+const findViewablePlaylist = async (playlistId, userId) => {
+    if (!mongoose.isValidObjectId(playlistId)) throw new AppError('Playlist not found', 404);
+    const playlist = await Playlist.findById(playlistId);
+    if (!canViewPlaylist(playlist, userId)) throw new AppError('Playlist not found', 404);
+    return playlist;
+};
+
+const findEditablePlaylist = async (playlistId, userId) => {
+    const playlist = await findViewablePlaylist(playlistId, userId);
+    if (!canEditPlaylist(playlist, userId)) {
+        throw new AppError('Only the owner and editors can change this playlist.', 403);
+    }
+    return playlist;
+};
+
+const findOwnedPlaylist = async (playlistId, userId) => {
+    const playlist = await findViewablePlaylist(playlistId, userId);
+    if (!isPlaylistOwner(playlist, userId)) {
+        throw new AppError('Only the owner can manage this playlist.', 403);
+    }
+    return playlist;
+};
+
+// Playlists saved before versioning have no version yet
+const versionFilter = (version) => (version ? version : { $in: [0, null] });
+
+// Load the playlist (checking access with `find`), let `mutate` compute an
+// update from it, and write it only if nobody edited the playlist in between.
+// Every write bumps `version`. Callers that pass the `expectedVersion` they
+// were looking at get a 409 on any mismatch; otherwise a conflicting write is
+// retried against the fresh playlist.
+const editPlaylist = async (playlistId, userId, mutate, { expectedVersion, find = findEditablePlaylist } = {}) => {
+    const pinned = expectedVersion !== undefined && expectedVersion !== null;
+
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+        const playlist = await find(playlistId, userId);
+        const version = playlist.version || 0;
+        if (pinned && Number(expectedVersion) !== version) {
+            throw new AppError('The playlist changed since you last saw it.', 409);
+        }
+
+        const update = mutate(playlist);
+        const updated = await Playlist.findOneAndUpdate(
+            { _id: playlist._id, version: versionFilter(version) },
+            { ...update, $inc: { version: 1 } },
+            { new: true, runValidators: true }
+        );
+        if (updated) return updated;
+        if (pinned) throw new AppError('The playlist changed since you last saw it.', 409);
+    }
+    throw new AppError('The playlist is busy, please try again.', 409);
+};
+
+const plainSongs = (playlist) => playlist.songs.map(song => song.toObject());
+
+const findSongIndex = (songs, entryId) => {
+    const index = songs.findIndex(song => String(song._id) === String(entryId));
+    if (index === -1) throw new AppError('Song not found in this playlist', 404);
+    return index;
+};
+
+const validateName = (name) => {
+    if (typeof name !== 'string' || !name.trim()) throw new AppError('A playlist needs a name.', 400);
+    if (name.trim().length > 100) throw new AppError('Playlist names can be at most 100 characters.', 400);
+    return name.trim();
+};
+
+const validateVisibility = (visibility) => {
+    if (!VISIBILITIES.includes(visibility)) {
+        throw new AppError(`Visibility must be one of: ${VISIBILITIES.join(', ')}.`, 400);
+    }
+    return visibility;
+};
+
+const validateSong = (song) => {
+    if (!song?.id || !song?.title) throw new AppError('A song needs an id and a title.', 400);
+    if (song.duration != null && songDuration(song.duration) === undefined) {
+        throw new AppError(`A song's duration must be between 0 and ${MAX_SONG_DURATION} seconds.`, 400);
+    }
+    return toPlaylistSong(song);
+};
+
+const assertRoomFor = (count) => {
+    if (count > Playlist.MAX_PLAYLIST_SONGS) {
+        throw new AppError(`A playlist can hold at most ${Playlist.MAX_PLAYLIST_SONGS} songs.`, 400);
+    }
+};
+
+// Response shape, with the caller's role so clients know what to offer.
+// Followers are reduced to a count; only the owner and collaborators see
+// who the collaborators are.
+const serializePlaylist = (playlist, userId) => {
+    const { followers = [], collaborators, ...fields } = playlist.toObject();
+    const role = playlistRole(playlist, userId);
+    return {
+        ...fields,
+        ...(role && { collaborators }),
+        role,
+        followersCount: followers.length,
+        isFollowing: !!userId && followers.some(id => String(id) === String(userId))
+    };
+};
+
+// Playlists the user owns or collaborates on, newest first
+exports.listForUser = (userId) => {
+    return Playlist.find({ $or: [{ owner: userId }, { 'collaborators.user': userId }] }).sort('-createdAt');
+};
+
+exports.listPublic = async ({ page = 1, limit = 20 } = {}) => {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [playlists, total] = await Promise.all([
+        Playlist.find({ visibility: 'public' })
+            .select('-collaborators')
+            .populate('owner', 'username avatarColor')
+            .sort('-createdAt')
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize),
+        Playlist.countDocuments({ visibility: 'public' })
+    ]);
+
+    return { playlists, total, page: pageNumber, limit: pageSize };
+};
+
+exports.getPlaylist = (playlistId, userId) => findViewablePlaylist(playlistId, userId);
+
+// Readable without logging in: public and unlisted playlists only
+exports.getSharedPlaylist = async (playlistId) => {
+    const playlist = await findViewablePlaylist(playlistId, null);
+    return playlist.populate('owner', 'username avatarColor');
+};
+
+// A playlist the user may play from in a room: any they can see
+exports.getPlayablePlaylist = async (playlistId, userId) => {
+    if (!userId) throw new AppError('Log in to use your playlists.', 401);
+    return findViewablePlaylist(playlistId, userId);
+};
+
+exports.createPlaylist = async (userId, { name, visibility = 'private', songs = [] } = {}) => {
+    if (!Array.isArray(songs)) throw new AppError('Songs must be a list.', 400);
+    assertRoomFor(songs.length);
+
+    return Playlist.create({
+        name: validateName(name),
+        owner: userId,
+        visibility: validateVisibility(visibility),
+        songs: songs.map(validateSong)
+    });
+};
+
+// Owner-only settings. Anything outside UPDATABLE_FIELDS is rejected rather
+// than silently ignored, so old clients sending `songs` find out.
+exports.updatePlaylist = async (playlistId, userId, body = {}) => {
+    const unknown = Object.keys(body).filter(key => !UPDATABLE_FIELDS.includes(key));
+    if (unknown.length) {
+        throw new AppError(`Cannot update: ${unknown.join(', ')}. Use the song endpoints to change songs.`, 400);
+    }
+
+    const update = {};
+    if (body.name !== undefined) update.name = validateName(body.name);
+    if (body.visibility !== undefined) update.visibility = validateVisibility(body.visibility);
+    if (!Object.keys(update).length) throw new AppError('Nothing to update.', 400);
+
+    return editPlaylist(playlistId, userId, () => update, {
+        expectedVersion: body.version,
+        find: findOwnedPlaylist
+    });
+};
+
+// Owner and editors can rename
+exports.renamePlaylist = async (playlistId, userId, { name, version } = {}) => {
+    const clean = validateName(name);
+    return editPlaylist(playlistId, userId, () => ({ name: clean }), { expectedVersion: version });
+};
+
+// Insert a song at `position` (default: the end)
+exports.addSong = async (playlistId, userId, { song, position, version } = {}) => {
+    const entry = validateSong(song);
+    return editPlaylist(playlistId, userId, (playlist) => {
+        const songs = plainSongs(playlist);
+        assertRoomFor(songs.length + 1);
+
+        const index = position === undefined || position === null
+            ? songs.length
+            : Math.max(0, Math.min(Number(position) || 0, songs.length));
+        songs.splice(index, 0, entry);
+        return { songs };
+    }, { expectedVersion: version });
+};
+
+// Remove one entry by its _id (the same song may appear more than once)
+exports.removeSong = async (playlistId, userId, entryId, { version } = {}) => {
+    return editPlaylist(playlistId, userId, (playlist) => {
+        const songs = plainSongs(playlist);
+        songs.splice(findSongIndex(songs, entryId), 1);
+        return { songs };
+    }, { expectedVersion: version });
+};
+
+exports.removeSongAt = async (playlistId, userId, index, { version } = {}) => {
+    return editPlaylist(playlistId, userId, (playlist) => {
+        const songs = plainSongs(playlist);
+        const at = Number(index);
+        if (!Number.isInteger(at) || at < 0 || at >= songs.length) {
+            throw new AppError('No song at that position.', 404);
+        }
+        songs.splice(at, 1);
+        return { songs };
+    }, { expectedVersion: version });
+};
+
+// Move an entry to `toIndex` (clamped to the playlist bounds)
+exports.moveSong = async (playlistId, userId, entryId, { toIndex, version } = {}) => {
+    const target = Number(toIndex);
+    if (!Number.isInteger(target)) throw new AppError('A target position is required.', 400);
+
+    return editPlaylist(playlistId, userId, (playlist) => {
+        const songs = plainSongs(playlist);
+        const from = findSongIndex(songs, entryId);
+        const [song] = songs.splice(from, 1);
+        songs.splice(Math.max(0, Math.min(target, songs.length)), 0, song);
+        return { songs };
+    }, { expectedVersion: version });
+};
+
+// Add a collaborator or change their role
+exports.setCollaborator = async (playlistId, ownerId, { userId, role = 'viewer' } = {}) => {
+    const playlist = await findOwnedPlaylist(playlistId, ownerId);
+    if (!COLLABORATOR_ROLES.includes(role)) {
+        throw new AppError(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}.`, 400);
+    }
+    if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+        throw new AppError('User not found', 404);
+    }
+    if (isPlaylistOwner(playlist, userId)) {
+        throw new AppError('The owner is already on this playlist.', 400);
+    }
+
+    const existing = playlist.collaborators.find(c => String(c.user) === String(userId));
+    if (existing) {
+        return Playlist.findOneAndUpdate(
+            { _id: playlist._id, 'collaborators.user': userId },
+            { $set: { 'collaborators.$.role': role } },
+            { new: true }
+        );
+    }
+    return Playlist.findByIdAndUpdate(
+        playlist._id,
+        { $push: { collaborators: { user: userId, role } } },
+        { new: true }
+    );
+};
+
+// The owner removes a collaborator, or a collaborator leaves
+exports.removeCollaborator = async (playlistId, actorId, userId) => {
+    const playlist = await findViewablePlaylist(playlistId, actorId);
+    if (!isPlaylistOwner(playlist, actorId) && String(actorId) !== String(userId)) {
+        throw new AppError('Only the owner can manage this playlist.', 403);
+    }
+    if (!mongoose.isValidObjectId(userId)) throw new AppError('User not found', 404);
+
+    return Playlist.findByIdAndUpdate(
+        playlist._id,
+        { $pull: { collaborators: { user: userId } } },
+        { new: true }
+    );
+};
+
+// Save what's playing in a room plus its queue as a new playlist of the user's
+exports.createFromRoom = async (roomId, userId, { name } = {}) => {
+    if (!userId) throw new AppError('Log in to save playlists.', 401);
+
+    const room = await Room.findOne({ roomId: String(roomId).toLowerCase() });
+    if (!room) throw new AppError('Room not found', 404);
+    if (!canViewRoom(room, userId)) throw new AppError('You do not have access to this room', 403);
+
+    const songs = [...(room.currentSong?.id ? [room.currentSong] : []), ...room.queue]
+        .filter(song => song.id && song.title)
+        .slice(0, Playlist.MAX_PLAYLIST_SONGS)
+        .map(toPlaylistSong);
+    if (!songs.length) throw new AppError('There is nothing queued to save.', 400);
+
+    // No name (or a blank one) means "<room> – <date>"
+    const unnamed = name === undefined || name === null || (typeof name === 'string' && !name.trim());
+    const playlistName = validateName(unnamed ? `${room.name} – ${new Date().toISOString().slice(0, 10)}` : name);
+
+    return Playlist.create({ name: playlistName, owner: userId, songs });
+};
+
+const validateFormat = (format) => {
+    if (!playlistFormats.FORMATS.includes(format)) {
+        throw new AppError(`Format must be one of: ${playlistFormats.FORMATS.join(', ')}.`, 400);
+    }
+    return format;
+};
+
+// Anyone who can see a playlist can export it
+exports.exportPlaylist = async (playlistId, userId, format = 'json') => {
+    validateFormat(format);
+    const playlist = await findViewablePlaylist(playlistId, userId);
+    return {
+        playlist,
+        ...playlistFormats.serializePlaylist({ name: playlist.name, songs: playlist.songs.map(toPlaylistSong) }, format)
+    };
+};
+
+// Create a playlist from an uploaded M3U, XSPF or JSON file. Entries that
+// can't be read are skipped and reported back rather than failing the import.
+exports.importPlaylist = async (userId, { content, format, name, visibility } = {}) => {
+    if (typeof content !== 'string' || !content.trim()) throw new AppError('Nothing to import.', 400);
+    if (format !== undefined && format !== null && format !== '') validateFormat(format);
+
+    const parsed = playlistFormats.parsePlaylist(content, format || undefined);
+    if (!parsed.songs.length) {
+        const reasons = parsed.skipped.slice(0, 3).map(s => `line ${s.line}: ${s.reason}`).join('; ');
+        throw new AppError(`No songs could be imported${reasons ? ` (${reasons})` : ''}.`, 400);
+    }
+
+    const songs = parsed.songs.slice(0, Playlist.MAX_PLAYLIST_SONGS);
+    const overflow = parsed.songs.length - songs.length;
+    const skipped = overflow
+        ? [...parsed.skipped, { line: null, reason: `Playlist is full: ${overflow} more songs were left out` }]
+        : parsed.skipped;
+
+    const playlist = await exports.createPlaylist(userId, {
+        name: typeof name === 'string' && name.trim() ? name : (parsed.name || 'Imported playlist').slice(0, 100),
+        visibility,
+        songs
+    });
+    return { playlist, skipped };
+};
+
+exports.toPlaylistSong = toPlaylistSong;
+exports.serializePlaylist = serializePlaylist;
@@ -0,0 +1,468 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Playlist = require('../models/Playlist');
+const PlayLog = require('../models/PlayLog');
+const AppError = require('../utils/appError');
+const { hasDJPermission } = require('../utils/roomPermissions');
+const { countPending, fairInsertIndex, fairOrder } = require('../utils/fairQueue');
+const { songDuration } = require('../utils/songDuration');
+const playlistService = require('./playlistService');
+
+// Conflicting writes retried before giving up
+const MAX_RETRIES = 3;
+
+const findRoom = async (roomId) => {
+    const room = await Room.findOne({ roomId: String(roomId).toLowerCase() });
+    if (!room) throw new AppError('Room not found', 404);
+    return room;
+};
+
+const assertDJ = (room, actorId) => {
+    if (!hasDJPermission(room, actorId)) {
+        throw new AppError('Only DJs can reorder the queue.', 403);
+    }
+};
+
+// Rooms created before queues were versioned have no queueVersion yet
+const versionFilter = (version) => (version ? version : { $in: [0, null] });
+
+// Queue ids are always generated here; client-supplied ones are ignored
+const generateQueueId = () => crypto.randomBytes(8).toString('hex');
+
+// Entries saved before every entry had a queueId get one on the next write
+const plainQueue = (room) => room.queue.map(item => ({ queueId: generateQueueId(), ...item.toObject() }));
+
+const findItemIndex = (queue, queueId) => {
+    const index = queue.findIndex(item => item.queueId === queueId);
+    if (index === -1) throw new AppError('That song is no longer in the queue.', 404);
+    return index;
+};
+
+// A queue entry for `song`, attributed to the actor ({ id, name }) adding it
+const buildQueueEntry = (song, actor) => ({
+    id: song.id,
+    queueId: generateQueueId(),
+    title: song.title,
+    thumbnail: song.thumbnail,
+    channel: song.channel,
+    duration: songDuration(song.duration),
+    addedBy: actor.id,
+    addedByName: actor.name
+});
+
+const DUPLICATE_POLICIES = ['block', 'allow', 'after'];
+
+// Ids of the songs that finished playing most recently, oldest first: as many
+// as the 'after' policy looks back (none under the other policies)
+const recentPlays = async (room) => {
+    if (room.duplicatePolicy !== 'after') return [];
+    const logs = await PlayLog.find({ roomId: room.roomId, endedAt: { $ne: null } })
+        .sort('-startedAt')
+        .limit(room.duplicateGap || 5)
+        .select('song.id');
+    return logs.map(log => log.song.id).reverse();
+};
+
+// Throw if the room's duplicate policy rejects `songId` at queue position
+// `position` (defaults to the end). Under 'after', the nearest earlier or later
+// play of the same song must be at least duplicateGap songs away, counting the
+// songs that already played (`recentIds`, from recentPlays).
+const assertCanQueue = (room, songId, position = room.queue.length, recentIds = []) => {
+    const policy = room.duplicatePolicy || 'block';
+    if (policy === 'allow') return;
+
+    const sequence = [
+        ...(policy === 'after' ? recentIds.map(id => ({ id })) : []),
+        ...(room.currentSong?.id ? [room.currentSong] : []),
+        ...room.queue
+    ];
+    const insertAt = sequence.length - room.queue.length + position;
+    const gaps = sequence
+        .map((item, i) => (item.id !== songId ? null : (i < insertAt ? insertAt - i - 1 : i - insertAt)))
+        .filter(gap => gap !== null);
+    if (!gaps.length) return;
+
+    if (policy === 'block') {
+        throw new AppError('This song is already playing or queued.', 409);
+    }
+    const required = room.duplicateGap || 5;
+    if (Math.min(...gaps) < required) {
+        throw new AppError(`This song can play again once ${required} other songs have played.`, 409);
+    }
+};
+
+// Read the room, let `mutate` compute an update from it, and write that update
+// only if the queue hasn't changed in between; every write bumps queueVersion.
+// `mutate` may be async and may return null to leave the room alone. Callers that pass the
+// `expectedVersion` they were looking at get a 409 on any mismatch; otherwise
+// a conflicting write is retried against the fresh queue.
+const updateQueue = async (roomId, mutate, { expectedVersion } = {}) => {
+    const pinned = expectedVersion !== undefined && expectedVersion !== null;
+
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+        const room = await findRoom(roomId);
+        const version = room.queueVersion || 0;
+        if (pinned && Number(expectedVersion) !== version) {
+            throw new AppError('The queue changed since you last saw it.', 409);
+        }
+
+        const update = await mutate(room);
+        if (!update) return room;
+
+        const updated = await Room.findOneAndUpdate(
+            { roomId: room.roomId, queueVersion: versionFilter(version) },
+            { ...update, $inc: { ...update.$inc, queueVersion: 1 } },
+            { new: true }
+        );
+        if (updated) return updated;
+        if (pinned) throw new AppError('The queue changed since you last saw it.', 409);
+    }
+    throw new AppError('The queue is busy, please try again.', 409);
+};
+
+// Move an entry to `toIndex` (clamped to the queue bounds)
+exports.moveQueueItem = (roomId, actorId, { queueId, toIndex, expectedVersion }) => {
+    return updateQueue(roomId, (room) => {
+        assertDJ(room, actorId);
+        const target = Number(toIndex);
+        if (!Number.isInteger(target)) throw new AppError('A target position is required.', 400);
+
+        const queue = plainQueue(room);
+        const from = findItemIndex(queue, queueId);
+        const to = Math.max(0, Math.min(target, queue.length - 1));
+        if (from === to) return null;
+
+        const [item] = queue.splice(from, 1);
+        queue.splice(to, 0, item);
+        return { queue };
+    }, { expectedVersion });
+};
+
+const QUEUE_MODES = ['ordered', 'fair'];
+
+// Insert an entry where the room's queue mode puts it: at the end, or at the
+// contributor's round-robin slot in fair mode
+const insertEntry = (room, queue, entry) => {
+    const index = room.queueMode === 'fair' ? fairInsertIndex(queue, entry.addedBy) : queue.length;
+    queue.splice(index, 0, entry);
+    return index;
+};
+
+// Add a song, subject to the room's duplicate policy and, in fair mode, the
+// per-contributor limit on waiting songs
+exports.addToQueue = (roomId, actor, song) => {
+    return updateQueue(roomId, async (room) => {
+        if (!song?.id) throw new AppError('No song given.', 400);
+
+        const queue = plainQueue(room);
+        const recent = await recentPlays(room);
+        if (room.queueMode === 'fair') {
+            const limit = room.fairShareLimit || 3;
+            if (countPending(queue, actor.id) >= limit) {
+                throw new AppError(`You already have ${limit} songs waiting. Let them play first.`, 429);
+            }
+            assertCanQueue(room, song.id, fairInsertIndex(queue, actor.id), recent);
+        } else {
+            assertCanQueue(room, song.id, queue.length, recent);
+        }
+
+        insertEntry(room, queue, buildQueueEntry(song, actor));
+        return { queue };
+    });
+};
+
+// Most songs a single playlist load can add
+const MAX_PLAYLIST_LOAD = 100;
+
+// Queue a playlist the DJ can use, optionally shuffled and capped at `limit`
+// songs. Songs the duplicate policy rejects are skipped, not fatal. Resolves to
+// the updated room and how many songs were added and skipped.
+exports.enqueuePlaylist = async (roomId, actor, { playlistId, shuffle = false, limit } = {}) => {
+    const playlist = await playlistService.getPlayablePlaylist(playlistId, actor.userId);
+
+    const cap = limit === undefined || limit === null ? MAX_PLAYLIST_LOAD : Number(limit);
+    if (!Number.isInteger(cap) || cap < 1) throw new AppError('Limit must be a positive whole number.', 400);
+
+    let added = 0;
+    let skipped = 0;
+    const room = await updateQueue(roomId, async (current) => {
+        if (!hasDJPermission(current, actor.id)) {
+            throw new AppError('Only DJs can load playlists into the queue.', 403);
+        }
+        const recent = await recentPlays(current);
+
+        const songs = playlist.songs.map(song => song.toObject());
+        if (shuffle) {
+            for (let i = songs.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [songs[i], songs[j]] = [songs[j], songs[i]];
+            }
+        }
+
+        // Check each song against the queue as it grows, so the playlist
+        // doesn't slip its own repeats past the duplicate policy
+        const queue = plainQueue(current);
+        const working = { ...current.toObject(), queue };
+        added = 0;
+        skipped = 0;
+        for (const song of songs.slice(0, Math.min(cap, MAX_PLAYLIST_LOAD))) {
+            const entry = buildQueueEntry(song, actor);
+            const position = current.queueMode === 'fair' ? fairInsertIndex(queue, entry.addedBy) : queue.length;
+            try {
+                assertCanQueue(working, song.id, position, recent);
+            } catch {
+                skipped += 1;
+                continue;
+            }
+            queue.splice(position, 0, entry);
+            added += 1;
+        }
+
+        return added ? { queue } : null;
+    });
+
+    return { room, playlist, added, skipped };
+};
+
+// Accept a pending song request into the queue. A DJ accepting it is a
+// deliberate choice, so the fair-share limit doesn't apply.
+exports.acceptRequest = async (roomId, actorId, requestId) => {
+    let request;
+    const room = await updateQueue(roomId, async (current) => {
+        if (!hasDJPermission(current, actorId)) {
+            throw new AppError('Only DJs can accept requests.', 403);
+        }
+
+        const index = current.songRequests.findIndex(req => String(req._id) === String(requestId));
+        request = current.songRequests[index];
+        if (!request) throw new AppError('Request not found', 404);
+        if (request.status !== 'pending') throw new AppError('This request was already handled.', 409);
+
+        const queue = plainQueue(current);
+        const entry = buildQueueEntry(request, { id: request.userId, name: request.userName });
+        const position = current.queueMode === 'fair' ? fairInsertIndex(queue, entry.addedBy) : queue.length;
+        // The queue may have changed since the request was made
+        assertCanQueue(current, request.id, position, await recentPlays(current));
+        queue.splice(position, 0, entry);
+
+        return { queue, [`songRequests.${index}.status`]: 'accepted' };
+    });
+    return { room, request };
+};
+
+exports.removeQueueItem = (roomId, actorId, { queueId, expectedVersion }) => {
+    return updateQueue(roomId, (room) => {
+        if (!hasDJPermission(room, actorId)) {
+            throw new AppError('Only DJs can remove songs from the queue.', 403);
+        }
+        const queue = plainQueue(room);
+        queue.splice(findItemIndex(queue, queueId), 1);
+        return { queue };
+    }, { expectedVersion });
+};
+
+// Put a queued entry (by queueId) or a new song at the head of the queue
+exports.playNext = (roomId, actor, { queueId, song, expectedVersion }) => {
+    return updateQueue(roomId, async (room) => {
+        assertDJ(room, actor.id);
+        const queue = plainQueue(room);
+
+        let item;
+        if (queueId) {
+            const index = findItemIndex(queue, queueId);
+            if (index === 0) return null;
+            [item] = queue.splice(index, 1);
+        } else if (song?.id) {
+            assertCanQueue(room, song.id, 0, await recentPlays(room));
+            item = buildQueueEntry(song, actor);
+        } else {
+            throw new AppError('No song given.', 400);
+        }
+
+        return { queue: [item, ...queue] };
+    }, { expectedVersion });
+};
+
+// Start a queued entry or a new song right away. The interrupted song goes
+// back to the head of the queue so it plays again afterwards. Resolves to the
+// updated room and the song that was playing before.
+exports.playNow = async (roomId, actor, { queueId, song, expectedVersion }) => {
+    let previous = null;
+    const room = await updateQueue(roomId, (current) => {
+        assertDJ(current, actor.id);
+        const queue = plainQueue(current);
+
+        let item;
+        if (queueId) {
+            [item] = queue.splice(findItemIndex(queue, queueId), 1);
+        } else if (song?.id) {
+            item = buildQueueEntry(song, actor);
+        } else {
+            throw new AppError('No song given.', 400);
+        }
+
+        previous = current.currentSong?.id ? current.toObject().currentSong : null;
+        if (previous) {
+            queue.unshift({ ...previous, queueId: generateQueueId() });
+        }
+
+        return {
+            currentSong: item,
+            queue,
+            isPlaying: true,
+            currentTime: 0,
+            playStartedAt: new Date()
+        };
+    }, { expectedVersion });
+
+    return { room, previous };
+};
+
+const PLAYBACK_MODES = ['normal', 'repeat_one', 'loop_queue', 'autoplay'];
+
+// Name autoplay songs are attributed to
+const AUTOPLAY_NAME = 'Autoplay';
+
+// The next song from the room's autoplay playlist, wrapping around at the end,
+// plus the cursor to store. Null if the playlist is gone or empty.
+const nextAutoplaySong = async (room) => {
+    if (!room.autoplayPlaylist) return null;
+    const playlist = await Playlist.findById(room.autoplayPlaylist);
+    if (!playlist?.songs.length) return null;
+
+    const index = (room.autoplayCursor || 0) % playlist.songs.length;
+    return {
+        song: buildQueueEntry(playlist.songs[index], { id: String(playlist.owner), name: AUTOPLAY_NAME }),
+        cursor: index + 1
+    };
+};
+
+// Move on from the current song according to the room's playback mode: take
+// the head of the queue, repeat or recycle the outgoing song, fall back to the
+// autoplay playlist, or stop. Repeat-one only applies when the song finished
+// on its own; a skip still moves on.
+exports.advanceQueue = (roomId, { skipped = false } = {}) => {
+    return updateQueue(roomId, async (room) => {
+        const mode = room.playbackMode || 'normal';
+        const outgoing = room.currentSong?.id ? room.toObject().currentSong : null;
+        const queue = plainQueue(room);
+        const startPlaying = (song) => ({
+            currentSong: song,
+            queue,
+            isPlaying: true,
+            currentTime: 0,
+            playStartedAt: new Date()
+        });
+
+        if (mode === 'repeat_one' && outgoing && !skipped) return startPlaying(outgoing);
+        if (mode === 'loop_queue' && outgoing) queue.push({ ...outgoing, queueId: generateQueueId() });
+
+        const next = queue.shift();
+        if (next) return startPlaying(next);
+
+        if (mode === 'autoplay') {
+            const autoplay = await nextAutoplaySong(room);
+            if (autoplay) return { ...startPlaying(autoplay.song), autoplayCursor: autoplay.cursor };
+        }
+
+        return { currentSong: null, isPlaying: false, currentTime: 0, playStartedAt: null };
+    });
+};
+
+// Change what happens when songs end. Autoplay needs one of the room owner's
+// playlists; picking a playlist restarts it from the top.
+exports.setPlaybackMode = async (roomId, actorId, { mode, playlistId }) => {
+    const room = await findRoom(roomId);
+    if (!hasDJPermission(room, actorId)) {
+        throw new AppError('Only DJs can change the playback mode.', 403);
+    }
+    if (!PLAYBACK_MODES.includes(mode)) {
+        throw new AppError(`Playback mode must be one of: ${PLAYBACK_MODES.join(', ')}.`, 400);
+    }
+
+    const update = { playbackMode: mode };
+    if (mode === 'autoplay') {
+        const id = playlistId || room.autoplayPlaylist;
+        if (!room.owner) {
+            throw new AppError('Autoplay needs a room owned by a registered user.', 400);
+        }
+        if (!id || !mongoose.isValidObjectId(id)) {
+            throw new AppError('Choose a playlist to autoplay from.', 400);
+        }
+        const playlist = await Playlist.findOne({ _id: id, owner: room.owner });
+        if (!playlist) throw new AppError("Autoplay playlist must be one of the room owner's playlists.", 404);
+
+        if (String(playlist._id) !== String(room.autoplayPlaylist)) {
+            update.autoplayPlaylist = playlist._id;
+            update.autoplayCursor = 0;
+        }
+    }
+
+    return Room.findOneAndUpdate({ roomId: room.roomId }, update, { new: true });
+};
+
+exports.shuffleQueue = (roomId, actorId) => {
+    return updateQueue(roomId, (room) => {
+        if (!hasDJPermission(room, actorId)) {
+            throw new AppError('Only DJs can shuffle the queue.', 403);
+        }
+        if (room.queue.length <= 1) return null;
+
+        // Fisher-Yates shuffle
+        const shuffled = plainQueue(room);
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return { queue: shuffled };
+    });
+};
+
+// Switch between plain and fair-share ordering. Turning fair mode on
+// reorders what is already waiting.
+exports.setQueueMode = async (roomId, actorId, { mode, limit }) => {
+    if (!QUEUE_MODES.includes(mode)) {
+        throw new AppError(`Queue mode must be one of: ${QUEUE_MODES.join(', ')}.`, 400);
+    }
+    const update = { queueMode: mode };
+    if (limit !== undefined) {
+        const value = Number(limit);
+        if (!Number.isInteger(value) || value < 1 || value > 50) {
+            throw new AppError('Fair-share limit must be a whole number between 1 and 50.', 400);
+        }
+        update.fairShareLimit = value;
+    }
+
+    return updateQueue(roomId, (room) => {
+        if (!hasDJPermission(room, actorId)) {
+            throw new AppError('Only DJs can change the queue mode.', 403);
+        }
+        return mode === 'fair' ? { ...update, queue: fairOrder(plainQueue(room)) } : update;
+    });
+};
+
+exports.setDuplicatePolicy = async (roomId, actorId, { policy, gap }) => {
+    const room = await findRoom(roomId);
+    if (!hasDJPermission(room, actorId)) {
+        throw new AppError('Only DJs can change the duplicate policy.', 403);
+    }
+    if (!DUPLICATE_POLICIES.includes(policy)) {
+        throw new AppError(`Duplicate policy must be one of: ${DUPLICATE_POLICIES.join(', ')}.`, 400);
+    }
+
+    const update = { duplicatePolicy: policy };
+    if (gap !== undefined) {
+        const value = Number(gap);
+        if (!Number.isInteger(value) || value < 1 || value > 100) {
+            throw new AppError('Duplicate gap must be a whole number between 1 and 100.', 400);
+        }
+        update.duplicateGap = value;
+    }
+
+    return Room.findOneAndUpdate({ roomId: room.roomId }, update, { new: true });
+};
+
+exports.buildQueueEntry = buildQueueEntry;
+exports.assertCanQueue = assertCanQueue;
+exports.recentPlays = recentPlays;
@@ -0,0 +1,252 @@
+const bcrypt = require('bcryptjs');
+const Room = require('../models/Room');
+const AppError = require('../utils/appError');
+const { isRoomOwner, canViewRoom } = require('../utils/roomPermissions');
+
+// Shared by the REST routes and the socket handlers so both apply the same
+// validation. Broadcasting is left to the caller (see sockets/socketHandler).
+
+const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{2,63}$/;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 100;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Trending activity halves in weight every TRENDING_HALF_LIFE_MS
+const TRENDING_HALF_LIFE_MS = 6 * 60 * 60 * 1000;
+const ACTIVITY_WEIGHTS = { join: 1, play: 2 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Aggregation expression for a room's trending score as of now
+const decayedScoreExpr = {
+    $multiply: [
+        { $ifNull: ['$trendingScore', 0] },
+        {
+            $pow: [0.5, {
+                $divide: [
+                    { $subtract: ['$$NOW', { $ifNull: ['$trendingUpdatedAt', '$$NOW'] }] },
+                    TRENDING_HALF_LIFE_MS
+                ]
+            }]
+        }
+    ]
+};
+
+const normalizeRoomId = (roomId) => String(roomId || '').trim().toLowerCase();
+
+// Validate the editable fields that are present and return a clean update
+const sanitizeRoomFields = async ({ name, description, tags, isPublic, password }) => {
+    const fields = {};
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            throw new AppError(`Room name must be 1-${MAX_NAME_LENGTH} characters.`, 400);
+        }
+        fields.name = name.trim();
+    }
+
+    if (description !== undefined) {
+        if (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+            throw new AppError(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`, 400);
+        }
+        fields.description = description.trim();
+    }
+
+    if (tags !== undefined) {
+        if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) {
+            throw new AppError('Tags must be a list of strings.', 400);
+        }
+        const clean = [...new Set(tags.map(t => t.trim().toLowerCase()).filter(Boolean))];
+        if (clean.length > MAX_TAGS || clean.some(t => t.length > MAX_TAG_LENGTH)) {
+            throw new AppError(`Up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters.`, 400);
+        }
+        fields.tags = clean;
+    }
+
+    if (isPublic !== undefined) {
+        if (typeof isPublic !== 'boolean') throw new AppError('isPublic must be true or false.', 400);
+        fields.isPublic = isPublic;
+    }
+
+    if (password !== undefined) {
+        // Empty/null clears the password; any change re-locks previous guests out
+        fields.password = password ? await bcrypt.hash(String(password), 12) : null;
+        fields.accessList = [];
+    }
+
+    return fields;
+};
+
+// Shape sent to clients; never includes the password hash or invite codes
+exports.serializeRoom = (room, userCount = 0) => ({
+    id: room.roomId,
+    name: room.name,
+    description: room.description || '',
+    tags: room.tags || [],
+    isPublic: room.isPublic,
+    hasPassword: !!room.password,
+    owner: room.owner,
+    creatorId: room.creatorId,
+    currentSong: room.currentSong?.id ? room.currentSong : null,
+    isPlaying: room.isPlaying,
+    userCount,
+    followersCount: room.followers?.length || 0,
+    createdAt: room.createdAt
+});
+
+exports.listRooms = async ({ page = 1, limit = 20 } = {}) => {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [rooms, total] = await Promise.all([
+        Room.find({ isPublic: true })
+            .select('+password')
+            .sort('-createdAt')
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize),
+        Room.countDocuments({ isPublic: true })
+    ]);
+
+    return { rooms, total, page: pageNumber, limit: pageSize };
+};
+
+// Private rooms are reported as missing to anyone without access
+exports.getRoom = async (roomId, viewerId) => {
+    const room = await Room.findOne({ roomId: normalizeRoomId(roomId) }).select('+password');
+    if (!room || !canViewRoom(room, viewerId)) throw new AppError('Room not found', 404);
+    return room;
+};
+
+// `creator` is { userId, identityId }; guests have no userId
+exports.createRoom = async (data, creator) => {
+    const roomId = normalizeRoomId(data.roomId);
+    if (!ROOM_ID_PATTERN.test(roomId)) {
+        throw new AppError('Room id must be 3-64 letters, numbers, dashes or underscores.', 400);
+    }
+
+    const fields = await sanitizeRoomFields({ ...data, name: data.name || roomId.slice(0, MAX_NAME_LENGTH) });
+
+    if (await Room.exists({ roomId })) throw new AppError('A room with this id already exists.', 409);
+
+    return Room.create({
+        isPublic: true,
+        description: '',
+        tags: [],
+        ...fields,
+        roomId,
+        owner: creator.userId || undefined,
+        creatorId: creator.identityId
+    });
+};
+
+exports.updateRoom = async (roomId, actorId, data) => {
+    const room = await Room.findOne({ roomId: normalizeRoomId(roomId) });
+    if (!room) throw new AppError('Room not found', 404);
+
+    if (!isRoomOwner(room, actorId)) {
+        throw new AppError('Only the room owner can change room settings.', 403);
+    }
+
+    const fields = await sanitizeRoomFields(data);
+    return Room.findOneAndUpdate({ roomId: room.roomId }, fields, { new: true, runValidators: true })
+        .select('+password');
+};
+
+exports.deleteRoom = async (roomId, actorId) => {
+    const room = await Room.findOne({ roomId: normalizeRoomId(roomId) });
+    if (!room) throw new AppError('Room not found', 404);
+
+    if (!isRoomOwner(room, actorId)) {
+        throw new AppError('Only the room creator can delete this room.', 403);
+    }
+
+    await Room.deleteOne({ roomId: room.roomId });
+    return room;
+};
+
+// Bump a room's trending score; decay is applied in the same atomic update
+exports.recordRoomActivity = (roomId, kind) => {
+    return Room.updateOne(
+        { roomId: normalizeRoomId(roomId) },
+        [{
+            $set: {
+                trendingScore: { $add: [decayedScoreExpr, ACTIVITY_WEIGHTS[kind] || 1] },
+                trendingUpdatedAt: '$$NOW'
+            }
+        }],
+        { updatePipeline: true }
+    );
+};
+
+const DISCOVER_SORTS = {
+    trending: { trending: -1, createdAt: -1 },
+    newest: { createdAt: -1 },
+    name: { name: 1 }
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// Search public rooms. `liveRoomIds` (rooms with listeners right now) comes
+// from the socket layer, which owns presence.
+exports.discoverRooms = async (query = {}, { liveRoomIds = [] } = {}) => {
+    const pageNumber = Math.max(parseInt(query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+    const sort = DISCOVER_SORTS[query.sort] ? query.sort : 'trending';
+
+    const match = { isPublic: true };
+
+    const text = typeof query.q === 'string' ? query.q.trim().slice(0, 100) : '';
+    if (text) {
+        const pattern = new RegExp(escapeRegex(text), 'i');
+        match.$or = [{ name: pattern }, { description: pattern }, { tags: pattern }];
+    }
+    if (isTrue(query.playing)) {
+        match.isPlaying = true;
+        match['currentSong.id'] = { $type: 'string' };
+    }
+    if (isTrue(query.hasListeners)) {
+        match.roomId = { $in: liveRoomIds };
+    }
+
+    // Tag filters narrow the results but not the facet counts, so clients can
+    // still show the other tags available for the current search
+    const tags = (Array.isArray(query.tags) ? query.tags : String(query.tags || '').split(','))
+        .map(t => String(t).trim().toLowerCase())
+        .filter(Boolean);
+    const tagMatch = tags.length ? { tags: { $all: tags } } : {};
+
+    const [result] = await Room.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                rooms: [
+                    { $match: tagMatch },
+                    { $addFields: { trending: decayedScoreExpr } },
+                    { $sort: DISCOVER_SORTS[sort] },
+                    { $skip: (pageNumber - 1) * pageSize },
+                    { $limit: pageSize }
+                ],
+                total: [{ $match: tagMatch }, { $count: 'count' }],
+                tagFacets: [
+                    { $unwind: '$tags' },
+                    { $group: { _id: '$tags', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: 30 },
+                    { $project: { _id: 0, tag: '$_id', count: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        rooms: result.rooms,
+        total: result.total[0]?.count || 0,
+        tagFacets: result.tagFacets,
+        page: pageNumber,
+        limit: pageSize,
+        sort
+    };
+};
+
+exports.normalizeRoomId = normalizeRoomId;
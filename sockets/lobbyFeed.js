@@ -0,0 +1,114 @@
+// Lobby feed: coalesces room changes over a short window and sends only the
+// rooms that were added, changed or removed, and only to sockets subscribed
+// to the lobby channel. Clients apply `lobby_update` diffs on top of the
+// `lobby_snapshot` they get when subscribing; `version` lets them detect a gap
+// and resubscribe.
+//
+// With several server instances every node keeps its own version and diff
+// state and sends diffs only to its own subscribers (`io.local`), so each
+// client sees one unbroken sequence. A change on any node asks the others to
+// refresh through the adapter (`serverSideEmit`).
+
+// Socket.IO rooms share one namespace with room ids. Room ids can't contain
+// ':' (see ROOM_ID_PATTERN) and join_room refuses this name, so no room can
+// receive lobby diffs or send its events to lobby subscribers.
+const LOBBY_CHANNEL = 'lobby:feed';
+
+const isLobbyChannel = (name) => String(name || '').toLowerCase() === LOBBY_CHANNEL;
+const REFRESH_EVENT = 'lobby:refresh';
+
+// Sort the lobby the way clients show it, busiest rooms first
+const byUserCount = (a, b) => b.userCount - a.userCount;
+
+/**
+ * @param {object} options
+ * @param {() => Promise<Array<{ id: string }>>} options.loadRooms current lobby entries
+ * @param {number} [options.windowMs] how long to coalesce changes before sending
+ */
+const createLobbyFeed = ({ loadRooms, windowMs = 500 }) => {
+    let current = new Map(); // roomId -> { room, json }
+    let loaded = false;
+    let version = 0;
+    let timer = null;
+    let shared = false;
+    // Flushes and subscriptions run one at a time so diffs never interleave
+    let queue = Promise.resolve();
+
+    const enqueue = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(err => console.error('Error in lobby feed:', err));
+        return run;
+    };
+
+    const refresh = async () => {
+        const rooms = await loadRooms();
+        const next = new Map(rooms.map(room => [room.id, { room, json: JSON.stringify(room) }]));
+
+        const added = [];
+        const changed = [];
+        const removed = [];
+        next.forEach((entry, id) => {
+            const previous = current.get(id);
+            if (!previous) added.push(entry.room);
+            else if (previous.json !== entry.json) changed.push(entry.room);
+        });
+        current.forEach((entry, id) => {
+            if (!next.has(id)) removed.push(id);
+        });
+
+        current = next;
+        loaded = true;
+        return { added, changed, removed };
+    };
+
+    const snapshot = () => [...current.values()].map(entry => entry.room).sort(byUserCount);
+
+    const flush = async (io) => {
+        const wasLoaded = loaded;
+        const diff = await refresh();
+        if (!diff.added.length && !diff.changed.length && !diff.removed.length) return;
+
+        version += 1;
+        // The very first load has nobody to diff against; subscribers get snapshots
+        if (wasLoaded) io.local.to(LOBBY_CHANNEL).emit('lobby_update', { version, ...diff });
+    };
+
+    const scheduleFlush = (io) => {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            enqueue(() => flush(io));
+        }, windowMs);
+    };
+
+    // Note that something in the lobby changed; sends at most once per window
+    const schedule = (io) => {
+        scheduleFlush(io);
+        if (shared) io.serverSideEmit(REFRESH_EVENT);
+    };
+
+    // Call once per server. `shared` means other nodes serve the same lobby
+    // through a cross-node adapter and must hear about changes made here.
+    const attach = (io, { shared: isShared = false } = {}) => {
+        shared = isShared;
+        if (shared) io.on(REFRESH_EVENT, () => scheduleFlush(io));
+    };
+
+    const subscribe = (socket) => enqueue(async () => {
+        if (!loaded) await refresh();
+        socket.join(LOBBY_CHANNEL);
+        socket.emit('lobby_snapshot', { version, rooms: snapshot() });
+    });
+
+    const unsubscribe = (socket) => socket.leave(LOBBY_CHANNEL);
+
+    // Full list for one-off requests
+    const getRooms = () => enqueue(async () => {
+        if (!loaded) await refresh();
+        return snapshot();
+    });
+
+    return { attach, schedule, subscribe, unsubscribe, getRooms };
+};
+
+module.exports = { createLobbyFeed, LOBBY_CHANNEL, isLobbyChannel };
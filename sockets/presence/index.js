@@ -0,0 +1,29 @@
+const MemoryPresenceStore = require('./memoryStore');
+const RedisPresenceStore = require('./redisStore');
+const { groupMembers, entriesOf } = require('./members');
+
+// Pick the presence store and Socket.IO adapter from env. With REDIS_URL set,
+// presence lives in Redis and events fan out through the Redis adapter so
+// several server instances agree on who is where; otherwise everything stays
+// in this process.
+const createPresence = () => {
+    if (!process.env.REDIS_URL) {
+        return { store: new MemoryPresenceStore(), adapter: null };
+    }
+
+    const Redis = require('ioredis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = new Redis(process.env.REDIS_URL);
+    const subClient = pubClient.duplicate();
+    [pubClient, subClient].forEach(client => {
+        client.on('error', err => console.error('Redis error:', err.message));
+    });
+
+    return {
+        store: new RedisPresenceStore({ client: pubClient }),
+        adapter: createAdapter(pubClient, subClient)
+    };
+};
+
+module.exports = { createPresence, MemoryPresenceStore, RedisPresenceStore, groupMembers, entriesOf };
@@ -0,0 +1,44 @@
+// Presence entries are stored per socket so each node can manage its own
+// sockets, but people see one entry per identity: a user with three tabs open
+// is one listener. A socket that dropped keeps its entry, marked with
+// `disconnectedAt`, until the grace period runs out.
+
+// Collapse a room's socket entries into one member per identity, in join order
+const groupMembers = (listeners) => {
+    const members = new Map();
+
+    for (const listener of listeners) {
+        const member = members.get(listener.identityId);
+        const connected = !listener.disconnectedAt;
+
+        if (!member) {
+            members.set(listener.identityId, {
+                id: listener.identityId,
+                userId: listener.userId,
+                guestId: listener.guestId,
+                name: listener.name,
+                color: listener.color,
+                joinedAt: listener.joinedAt,
+                socketIds: connected ? [listener.id] : [],
+                connected
+            });
+            continue;
+        }
+
+        if (connected) {
+            member.socketIds.push(listener.id);
+            member.connected = true;
+            // The most recent connected tab decides the display name and colour
+            member.name = listener.name;
+            member.color = listener.color;
+        }
+        member.joinedAt = Math.min(member.joinedAt, listener.joinedAt);
+    }
+
+    return [...members.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+};
+
+// Entries of one identity among a room's listeners
+const entriesOf = (listeners, identityId) => listeners.filter(l => l.identityId === identityId);
+
+module.exports = { groupMembers, entriesOf };
@@ -0,0 +1,104 @@
+// Single-process presence store. Also the reference for the store interface;
+// every method is async so a networked store can implement the same shape.
+//
+// A listener is one socket in a room:
+// { id: socketId, identityId, name, color, userId, guestId, joinedAt, disconnectedAt? }.
+// Several sockets can share an identity (tabs, reconnects); see members.js.
+
+class MemoryPresenceStore {
+    constructor() {
+        this.rooms = new Map(); // roomId -> { listeners: Map, skipVotes: Set, name }
+        this.locks = new Map(); // key -> expiresAt
+    }
+
+    room(roomId) {
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, { listeners: new Map(), skipVotes: new Set(), name: null });
+        }
+        return this.rooms.get(roomId);
+    }
+
+    async addListener(roomId, listener) {
+        this.room(roomId).listeners.set(listener.id, listener);
+    }
+
+    // Returns the removed listener, or null if it wasn't there
+    async removeListener(roomId, socketId) {
+        const room = this.rooms.get(roomId);
+        const listener = room?.listeners.get(socketId);
+        if (!listener) return null;
+        room.listeners.delete(socketId);
+        return listener;
+    }
+
+    async getListener(roomId, socketId) {
+        return this.rooms.get(roomId)?.listeners.get(socketId) || null;
+    }
+
+    async getListeners(roomId) {
+        const room = this.rooms.get(roomId);
+        return room ? [...room.listeners.values()] : [];
+    }
+
+    // { roomId: number of distinct identities } for each requested room
+    async countListeners(roomIds) {
+        return Object.fromEntries(roomIds.map(roomId => {
+            const listeners = this.rooms.get(roomId)?.listeners.values() || [];
+            return [roomId, new Set([...listeners].map(l => l.identityId)).size];
+        }));
+    }
+
+    async getLiveRoomIds() {
+        return [...this.rooms.entries()]
+            .filter(([, room]) => room.listeners.size > 0)
+            .map(([roomId]) => roomId);
+    }
+
+    async setRoomName(roomId, name) {
+        this.room(roomId).name = name;
+    }
+
+    async getRoomName(roomId) {
+        return this.rooms.get(roomId)?.name || null;
+    }
+
+    async addSkipVote(roomId, identityId) {
+        this.room(roomId).skipVotes.add(identityId);
+    }
+
+    async removeSkipVote(roomId, identityId) {
+        this.rooms.get(roomId)?.skipVotes.delete(identityId);
+    }
+
+    async clearSkipVotes(roomId) {
+        this.rooms.get(roomId)?.skipVotes.clear();
+    }
+
+    async countSkipVotes(roomId) {
+        return this.rooms.get(roomId)?.skipVotes.size || 0;
+    }
+
+    async clearRoom(roomId) {
+        this.rooms.delete(roomId);
+    }
+
+    // Best-effort mutual exclusion between nodes; true if this caller got it
+    async acquireLock(key, ttlMs) {
+        const now = Date.now();
+        this.dropExpiredLocks(now);
+        if ((this.locks.get(key) || 0) > now) return false;
+        this.locks.set(key, now + ttlMs);
+        return true;
+    }
+
+    // Lock keys are one-off (one per song end), so expired ones must go
+    dropExpiredLocks(now) {
+        this.locks.forEach((expiresAt, key) => {
+            if (expiresAt <= now) this.locks.delete(key);
+        });
+    }
+
+    async close() {}
+}
+
+module.exports = MemoryPresenceStore;
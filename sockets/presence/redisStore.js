@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+// Presence shared between server instances through Redis (or anything that
+// speaks the same commands). Takes an ioredis-compatible client.
+//
+// Keys:
+//   <prefix>rooms                      set of roomIds with listeners
+//   <prefix>room:<roomId>:listeners    hash socketId -> listener JSON
+//   <prefix>room:<roomId>:skips        set of identities voting to skip
+//   <prefix>room:<roomId>:name         room name for listening history
+//   <prefix>node:<nodeId>              heartbeat, expires if the node dies
+//   <prefix>lock:<key>                 SET NX PX locks
+//
+// Listeners are tagged with the node that owns their socket, and every node
+// periodically sweeps out listeners whose node stopped sending heartbeats.
+
+const HEARTBEAT_MS = 10 * 1000;
+const NODE_TTL_MS = 3 * HEARTBEAT_MS;
+
+class RedisPresenceStore {
+    constructor({ client, prefix = 'presence:', nodeId = crypto.randomBytes(6).toString('hex') }) {
+        this.client = client;
+        this.prefix = prefix;
+        this.nodeId = nodeId;
+
+        this.heartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            this.heartbeat();
+            this.sweep().catch(err => console.error('Error sweeping presence:', err));
+        }, HEARTBEAT_MS);
+        this.heartbeatTimer.unref();
+    }
+
+    key(...parts) {
+        return this.prefix + parts.join(':');
+    }
+
+    heartbeat() {
+        this.client.set(this.key('node', this.nodeId), '1', 'PX', NODE_TTL_MS)
+            .catch(err => console.error('Error sending presence heartbeat:', err));
+    }
+
+    // Drop listeners owned by nodes that are no longer alive
+    async sweep() {
+        const roomIds = await this.client.smembers(this.key('rooms'));
+        const aliveNodes = new Map();
+
+        for (const roomId of roomIds) {
+            const entries = await this.client.hgetall(this.key('room', roomId, 'listeners'));
+            for (const [socketId, json] of Object.entries(entries)) {
+                const { nodeId } = JSON.parse(json);
+                if (!aliveNodes.has(nodeId)) {
+                    aliveNodes.set(nodeId, !!(await this.client.exists(this.key('node', nodeId))));
+                }
+                if (!aliveNodes.get(nodeId)) await this.removeListener(roomId, socketId);
+            }
+        }
+    }
+
+    async addListener(roomId, listener) {
+        await this.client.hset(
+            this.key('room', roomId, 'listeners'),
+            listener.id,
+            JSON.stringify({ ...listener, nodeId: this.nodeId })
+        );
+        await this.client.sadd(this.key('rooms'), roomId);
+    }
+
+    async removeListener(roomId, socketId) {
+        const listenersKey = this.key('room', roomId, 'listeners');
+        const json = await this.client.hget(listenersKey, socketId);
+        if (!json) return null;
+
+        // Another node may have removed it in the meantime
+        if (!(await this.client.hdel(listenersKey, socketId))) return null;
+        if ((await this.client.hlen(listenersKey)) === 0) {
+            await this.client.srem(this.key('rooms'), roomId);
+        }
+        return JSON.parse(json);
+    }
+
+    async getListener(roomId, socketId) {
+        const json = await this.client.hget(this.key('room', roomId, 'listeners'), socketId);
+        return json ? JSON.parse(json) : null;
+    }
+
+    async getListeners(roomId) {
+        const entries = await this.client.hgetall(this.key('room', roomId, 'listeners'));
+        return Object.values(entries).map(json => JSON.parse(json));
+    }
+
+    // Distinct identities per room, so extra tabs don't inflate the count
+    async countListeners(roomIds) {
+        if (!roomIds.length) return {};
+        const pipeline = this.client.pipeline();
+        roomIds.forEach(roomId => pipeline.hvals(this.key('room', roomId, 'listeners')));
+        const results = await pipeline.exec();
+        return Object.fromEntries(roomIds.map((roomId, i) => {
+            const identities = (results[i][1] || []).map(json => JSON.parse(json).identityId);
+            return [roomId, new Set(identities).size];
+        }));
+    }
+
+    async getLiveRoomIds() {
+        return this.client.smembers(this.key('rooms'));
+    }
+
+    async setRoomName(roomId, name) {
+        await this.client.set(this.key('room', roomId, 'name'), name);
+    }
+
+    async getRoomName(roomId) {
+        return this.client.get(this.key('room', roomId, 'name'));
+    }
+
+    async addSkipVote(roomId, identityId) {
+        await this.client.sadd(this.key('room', roomId, 'skips'), identityId);
+    }
+
+    async removeSkipVote(roomId, identityId) {
+        await this.client.srem(this.key('room', roomId, 'skips'), identityId);
+    }
+
+    async clearSkipVotes(roomId) {
+        await this.client.del(this.key('room', roomId, 'skips'));
+    }
+
+    async countSkipVotes(roomId) {
+        return this.client.scard(this.key('room', roomId, 'skips'));
+    }
+
+    async clearRoom(roomId) {
+        await this.client.del(
+            this.key('room', roomId, 'listeners'),
+            this.key('room', roomId, 'skips'),
+            this.key('room', roomId, 'name')
+        );
+        await this.client.srem(this.key('rooms'), roomId);
+    }
+
+    async acquireLock(key, ttlMs) {
+        return (await this.client.set(this.key('lock', key), this.nodeId, 'PX', ttlMs, 'NX')) === 'OK';
+    }
+
+    async close() {
+        clearInterval(this.heartbeatTimer);
+        await this.client.del(this.key('node', this.nodeId));
+    }
+}
+
+module.exports = RedisPresenceStore;
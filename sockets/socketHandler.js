@@ -1,130 +1,613 @@
 const Room = require('../models/Room');
 const User = require('../models/User');
+const PlayLog = require('../models/PlayLog');
+const Message = require('../models/Message');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { socketProtect } = require('../middleware/authMiddleware');
+const { socketRateLimit } = require('../middleware/rateLimitMiddleware');
+const { hasDJPermission, canViewRoom, canEnterRoom } = require('../utils/roomPermissions');
+const moderationService = require('../services/moderationService');
+const roomService = require('../services/roomService');
+const queueService = require('../services/queueService');
+const playlistService = require('../services/playlistService');
+const followService = require('../services/followService');
+const notificationService = require('../services/notificationService');
+const { createLobbyFeed, isLobbyChannel } = require('./lobbyFeed');
+const { MemoryPresenceStore, groupMembers, entriesOf } = require('./presence');
+const { userChannel, isUserChannel, joinUserChannel, emitToUsers } = require('./userChannels');
+
+// Live state (listeners, skip votes). In memory unless initializeSocket is
+// given a shared store; see sockets/presence.
+let presence = new MemoryPresenceStore();
+
+// How long a dropped socket still counts as present, so a reconnect or page
+// reload doesn't show the user leaving and rejoining
+const PRESENCE_GRACE_MS = parseInt(process.env.PRESENCE_GRACE_MS, 10) || 15 * 1000;
+
+// Room ids are stored lowercased, and socket rooms and presence are keyed the
+// same way; clients may send them in any case
+const normalizeRoomIdArg = ([, payload], next) => {
+    if (payload && typeof payload === 'object' && payload.roomId != null) {
+        payload.roomId = roomService.normalizeRoomId(payload.roomId);
+    }
+    next();
+};
 
-// Helper function to check if user has DJ permissions
-const hasDJPermission = (room, userId) => {
-    if (!room) return false;
-    // Creator always has permission
-    if (String(room.creatorId) === String(userId)) return true;
-    // Check if in djPermissions array
-    if (room.djPermissions && room.djPermissions.includes(userId)) return true;
-    return false;
+// One entry per identity, however many tabs it has open
+const getMembers = async (roomId) => groupMembers(await presence.getListeners(roomId));
+
+const loadLobbyRooms = async () => {
+    // Private rooms are reachable only by link, invite or password
+    const publicRooms = await Room.find({ isPublic: true }).select('+password').lean();
+    const counts = await presence.countListeners(publicRooms.map(r => r.roomId));
+    return publicRooms.map(r => ({
+        id: r.roomId,
+        name: r.name,
+        hasPassword: !!r.password,
+        userCount: counts[r.roomId] || 0,
+        currentSong: r.currentSong?.id ? r.currentSong : null,
+        tags: r.tags || [],
+        description: r.description || ""
+    }));
 };
 
-// In-memory store for live state (listeners, skipVotes)
-const rooms = {};
+const lobbyFeed = createLobbyFeed({
+    loadRooms: loadLobbyRooms,
+    windowMs: Number(process.env.LOBBY_UPDATE_WINDOW_MS) || 500
+});
+
+// Queue a lobby refresh; changes within the window are sent as one diff
+const broadcastRooms = (io) => lobbyFeed.schedule(io);
+
+// { roomId: listenerCount } for the given rooms
+const countListeners = (roomIds) => presence.countListeners(roomIds);
+
+const getListenerCount = async (roomId) => {
+    return (await presence.countListeners([roomId]))[roomId] || 0;
+};
 
-const broadcastRooms = async (io) => {
+// Rooms with at least one listener right now
+const getLiveRoomIds = () => presence.getLiveRoomIds();
+
+// Broadcasts shared by the socket handlers and the REST controllers
+const announceRoomCreated = (io, room) => {
+    broadcastRooms(io);
+};
+
+// `privacyChanged` when isPublic or the password was part of the update.
+// Expects `room` loaded with `+password`.
+const announceRoomUpdated = async (io, room, { privacyChanged = false } = {}) => {
+    const userCount = await getListenerCount(room.roomId);
+    io.to(room.roomId).emit('room_updated', roomService.serializeRoom(room, userCount));
+    if (privacyChanged) {
+        io.to(room.roomId).emit('room_privacy_updated', {
+            isPublic: room.isPublic,
+            hasPassword: !!room.password
+        });
+    }
+    broadcastRooms(io);
+};
+
+const announceRoomDeleted = (io, roomId) => {
+    cancelAutoAdvance(roomId);
+    lastNotifiedAt.delete(`room:${roomId}`);
+    presence.clearRoom(roomId).catch(e => console.error('Error clearing presence:', e));
+    // Inform everyone in the room
+    io.to(roomId).emit('room_deleted');
+    // Notify all clients to update their active rooms list
+    broadcastRooms(io);
+};
+
+// A room that stops and starts again, or a DJ who comes back, within this
+// window doesn't notify followers twice
+const FOLLOW_NOTIFY_COOLDOWN_MS = parseInt(process.env.FOLLOW_NOTIFY_COOLDOWN_MS, 10) || 10 * 60 * 1000;
+const lastNotifiedAt = new Map();
+
+// False if `key` ('room:<id>', 'dj:<id>') already notified within the window
+const claimNotification = (key) => {
+    const now = Date.now();
+    if (now - (lastNotifiedAt.get(key) || 0) < FOLLOW_NOTIFY_COOLDOWN_MS) return false;
+    lastNotifiedAt.set(key, now);
+    return true;
+};
+
+// Save a notification for each user and push it to their open tabs. Never
+// throws: a failed notification shouldn't fail what caused it.
+const sendNotifications = async (io, userIds, fields) => {
     try {
-        const publicRooms = await Room.find({ isPublic: true }).lean();
-        const roomsWithStats = publicRooms.map(r => ({
-            id: r.roomId,
-            name: r.name,
-            userCount: rooms[r.roomId]?.users ? Object.keys(rooms[r.roomId].users).length : 0,
-            currentSong: r.currentSong,
-            tags: r.tags || [],
-            description: r.description || ""
-        })).sort((a, b) => b.userCount - a.userCount);
-
-        io.emit('update_active_rooms', roomsWithStats);
+        const notifications = await notificationService.createNotifications(userIds, fields);
+        notifications.forEach(n => io.to(userChannel(n.user)).emit('notification', n));
+        return notifications;
     } catch (err) {
-        console.error('Error broadcasting rooms:', err);
+        console.error('Error sending notifications:', err);
+        return [];
     }
 };
 
+// Tell a DJ's followers (User.followers) that they opened their room
+const announceDJLive = async (io, dj, room) => {
+    if (!claimNotification(`dj:${dj.id}`)) return;
+
+    const user = await User.findById(dj.id).select('followers').lean();
+    // Private rooms stay quiet to followers who can't get in
+    const followerIds = (user?.followers || []).map(String).filter(id => canViewRoom(room, id));
+    if (!followerIds.length) return;
+
+    emitToUsers(io, followerIds, 'dj_went_live', {
+        djId: dj.id,
+        djName: dj.name,
+        roomId: room.roomId,
+        roomName: room.name
+    });
+    await sendNotifications(io, followerIds, {
+        type: 'dj_live',
+        actor: { id: dj.id, name: dj.name },
+        roomId: room.roomId,
+        roomName: room.name
+    });
+};
+
+// Tell a room's followers that it started playing
+const announceFollowedRoomPlaying = (io, room) => {
+    const followerIds = followService.roomFollowerIds(room);
+    if (!followerIds.length || !claimNotification(`room:${room.roomId}`)) return;
+    emitToUsers(io, followerIds, 'followed_room_playing', {
+        roomId: room.roomId,
+        roomName: room.name,
+        song: room.currentSong
+    });
+};
+
+// Tell a playlist's followers it changed; `change` says what ('songs',
+// 'name', 'settings'). The user who made the change isn't told.
+const announcePlaylistUpdated = (io, playlist, { actorId, change }) => {
+    const followerIds = followService.playlistFollowerIds(playlist).filter(id => id !== String(actorId));
+    emitToUsers(io, followerIds, 'followed_playlist_updated', {
+        playlistId: String(playlist._id),
+        name: playlist.name,
+        version: playlist.version || 0,
+        songCount: playlist.songs.length,
+        change
+    });
+};
+
 // Initialize Rooms from DB on startup
-const initRooms = async () => {
+const initRooms = async (io) => {
     try {
-        const dbRooms = await Room.find();
-        dbRooms.forEach(room => {
-            if (!rooms[room.roomId]) {
-                rooms[room.roomId] = {
-                    id: room.roomId,
-                    users: {},
-                    skipVotes: new Set()
-                };
-            }
-        });
-        console.log(`Initialized ${dbRooms.length} rooms from database`);
+        // Pick up where playback was before the restart
+        const playingRooms = await Room.find({ isPlaying: true });
+        playingRooms.forEach(room => scheduleAutoAdvance(io, room));
+        console.log(`Initialized ${playingRooms.length} playing rooms from database`);
+
+        // Listeners reconnect over the next few seconds. Rooms nobody came back
+        // to are paused, or they would keep advancing (forever, in the looping
+        // modes) with no one listening.
+        setTimeout(() => {
+            pauseEmptyRooms(playingRooms.map(r => r.roomId))
+                .catch(err => console.error('Error pausing empty rooms:', err));
+        }, PRESENCE_GRACE_MS).unref();
     } catch (err) {
         console.error('Error initializing rooms:', err);
     }
 };
 
-const initializeSocket = (io) => {
-    initRooms();
+const pauseEmptyRooms = async (roomIds) => {
+    if (!roomIds.length) return;
+    // Counts include listeners on other instances
+    const counts = await presence.countListeners(roomIds);
+    const empty = roomIds.filter(roomId => !counts[roomId]);
+    for (const roomId of empty) await pausePlayback(roomId);
+    if (empty.length) console.log(`Paused ${empty.length} rooms nobody rejoined after the restart`);
+};
 
-    io.on('connection', (socket) => {
-        console.log('A user connected:', socket.id);
+// Pending end-of-song timers, keyed by roomId
+const advanceTimers = {};
+
+// Give clients a moment to play out the last buffered audio before switching
+const AUTO_ADVANCE_GRACE_MS = 1000;
+
+// setTimeout fires at once for longer delays; later songs just re-arm
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const cancelAutoAdvance = (roomId) => {
+    clearTimeout(advanceTimers[roomId]);
+    delete advanceTimers[roomId];
+};
+
+// Lock key for moving a room past the song it has now. Auto-advance, skip
+// votes and DJ skips all take it, so one song is never advanced past twice. A
+// playing song is identified by when it started, a paused one by where it
+// stopped.
+const advanceLockKey = (room) => {
+    const playId = room.playStartedAt?.getTime() ?? `paused:${room.currentSong?.id}:${room.currentTime}`;
+    return `advance:${room.roomId}:${playId}`;
+};
+const ADVANCE_LOCK_MS = 60 * 1000;
+
+// Skip the song `room` had when it was read, unless someone else already
+// moved past it. Returns whether this call skipped.
+const skipCurrentSong = async (io, room) => {
+    const lockKey = advanceLockKey(room);
+    if (!(await presence.acquireLock(lockKey, ADVANCE_LOCK_MS))) return false;
+
+    // The song may have ended or been skipped since it was read
+    const current = await Room.findOne({ roomId: room.roomId });
+    if (!current?.currentSong?.id || advanceLockKey(current) !== lockKey) return false;
+
+    await playNextSong(io, current, { skipped: true });
+    return true;
+};
+
+// (Re)arm the timer that moves the queue on when the current song ends.
+// Called whenever play state, position or song changes.
+const scheduleAutoAdvance = (io, room) => {
+    const { roomId } = room;
+    cancelAutoAdvance(roomId);
+    if (!room.isPlaying || !room.currentSong?.duration) return;
+
+    const startedAt = room.playStartedAt?.getTime();
+    const remainingMs = (room.currentSong.duration - room.getPlaybackPosition()) * 1000;
+
+    advanceTimers[roomId] = setTimeout(async () => {
+        delete advanceTimers[roomId];
+        try {
+            const current = await Room.findOne({ roomId });
+            // Someone paused, seeked or changed song while we were waiting
+            if (!current || !current.isPlaying || current.playStartedAt?.getTime() !== startedAt) return;
+
+            if (current.getPlaybackPosition() < current.currentSong.duration) {
+                return scheduleAutoAdvance(io, current);
+            }
+
+            // With several server instances only one of them advances the queue
+            if (!(await presence.acquireLock(advanceLockKey(current), ADVANCE_LOCK_MS))) return;
+
+            console.log(`[AutoAdvance] Song ended in ${roomId}, advancing queue`);
+            await playNextSong(io, current);
+        } catch (err) {
+            console.error('Error auto-advancing queue:', err);
+        }
+    }, Math.min(Math.max(0, remainingMs) + AUTO_ADVANCE_GRACE_MS, MAX_TIMER_MS));
+};
 
-        // Send initial list of rooms
+// Cap on User.listeningHistory; the oldest sessions roll off first
+const LISTENING_HISTORY_LIMIT = parseInt(process.env.LISTENING_HISTORY_LIMIT, 10) || 200;
+
+// Append a finished session to the listener's history (registered users only)
+const recordListeningSession = async (listener, roomId, roomName) => {
+    if (!listener.userId || !listener.joinedAt) return;
+
+    const duration = Math.round((Date.now() - listener.joinedAt) / 1000);
+    if (duration < 1) return;
+
+    await User.findByIdAndUpdate(listener.userId, {
+        $push: {
+            listeningHistory: {
+                $each: [{ roomId, roomName, timestamp: new Date(listener.joinedAt), duration }],
+                $slice: -LISTENING_HISTORY_LIMIT
+            }
+        }
+    });
+};
+
+// Freeze the live position into currentTime and stop the clock
+const pausePlayback = async (roomId) => {
+    cancelAutoAdvance(roomId);
+    const room = await Room.findOne({ roomId });
+    if (!room) return null;
+    const time = room.getPlaybackPosition();
+    await Room.findOneAndUpdate({ roomId }, { isPlaying: false, currentTime: time, playStartedAt: null });
+    return time;
+};
+
+// Returns null when the identity may join, otherwise the rejection reason.
+// Expects `room` to be loaded with `+password`.
+const checkRoomAccess = async (room, identityId, { password, inviteCode } = {}) => {
+    if (canEnterRoom(room, identityId)) return null;
+
+    if (inviteCode) {
+        const invite = room.inviteCodes.find(i => i.code === inviteCode);
+        if (!invite || (invite.expiresAt && invite.expiresAt < new Date())) {
+            return 'invalid_invite';
+        }
+        if (invite.usesLeft !== null && invite.usesLeft !== undefined) {
+            // Atomic so two sockets can't both redeem the last use
+            const redeemed = await Room.findOneAndUpdate(
+                { roomId: room.roomId, inviteCodes: { $elemMatch: { code: inviteCode, usesLeft: { $gt: 0 } } } },
+                { $inc: { 'inviteCodes.$.usesLeft': -1 } }
+            );
+            if (!redeemed) return 'invalid_invite';
+        }
+    } else if (room.password) {
+        if (!password) return 'password_required';
+        if (!(await bcrypt.compare(String(password), room.password))) return 'invalid_password';
+    } else {
+        return 'invite_required';
+    }
+
+    await Room.updateOne({ roomId: room.roomId }, { $addToSet: { accessList: identityId } });
+    return null;
+};
+
+// Votes needed to skip given the current listener count
+const getSkipTally = async (roomId, threshold = 0.5) => {
+    const [listenerCount, votes] = await Promise.all([
+        getListenerCount(roomId),
+        presence.countSkipVotes(roomId)
+    ]);
+    return {
+        votes,
+        required: Math.max(1, Math.ceil(listenerCount * threshold)),
+        threshold
+    };
+};
+
+const resetSkipVotes = async (io, roomId, threshold) => {
+    await presence.clearSkipVotes(roomId);
+    io.to(roomId).emit('skip_votes_updated', await getSkipTally(roomId, threshold));
+};
+
+// Messages sent to a socket when it joins a room
+const CHAT_HISTORY_LIMIT = 50;
+
+// Trimmed message text without control characters, or null if it is unusable
+const sanitizeMessageText = (text) => {
+    if (typeof text !== 'string') return null;
+    const clean = text.replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '').trim();
+    if (!clean || clean.length > Message.MAX_MESSAGE_LENGTH) return null;
+    return clean;
+};
+
+// Remove a socket from a room's listeners. The socket may live on another
+// server instance. The identity only leaves once its last socket is gone: that
+// closes its listening session, drops its skip vote and emits `user_left`.
+const removeListener = async (io, roomId, socketId) => {
+    const listener = await presence.removeListener(roomId, socketId);
+    if (!listener) return false;
+
+    io.in(socketId).socketsLeave(roomId);
+
+    const remaining = await presence.getListeners(roomId);
+    if (entriesOf(remaining, listener.identityId).length === 0) {
+        // Entries of one identity share the earliest joinedAt, so this covers the whole visit
+        recordListeningSession(listener, roomId, await presence.getRoomName(roomId))
+            .catch(e => console.error('Error recording listening session:', e));
+        await presence.removeSkipVote(roomId, listener.identityId);
+        io.to(roomId).emit('user_left', { roomId, id: listener.identityId });
+    }
+
+    // Notify remaining users
+    io.to(roomId).emit('update_listeners', groupMembers(remaining));
+
+    // If room is now empty, update DB to paused state
+    if (remaining.length === 0) {
+        pausePlayback(roomId).catch(e => console.error(e));
+    }
+    return true;
+};
+
+// A socket dropped without leaving. Keep its identity present for the grace
+// period (unless another of its sockets is still here) and let it go after.
+const holdForReconnect = async (io, roomId, socketId) => {
+    const listener = await presence.getListener(roomId, socketId);
+    if (!listener) return false;
+
+    const others = entriesOf(await presence.getListeners(roomId), listener.identityId)
+        .filter(l => l.id !== socketId && !l.disconnectedAt);
+    if (others.length > 0) return removeListener(io, roomId, socketId);
+
+    await presence.addListener(roomId, { ...listener, disconnectedAt: Date.now() });
+    setTimeout(() => {
+        removeListener(io, roomId, socketId)
+            .then(removed => removed && broadcastRooms(io))
+            .catch(e => console.error('Error expiring presence:', e));
+    }, PRESENCE_GRACE_MS).unref();
+    return false;
+};
+
+// Push every socket of an identity out of a room (kick/ban), telling it why
+const evictFromRoom = async (io, roomId, identityId, event) => {
+    const listeners = entriesOf(await presence.getListeners(roomId), String(identityId));
+    for (const listener of listeners) {
+        io.to(listener.id).emit(event, { roomId });
+        await removeListener(io, roomId, listener.id);
+    }
+    broadcastRooms(io);
+};
+
+// A ban also takes away the target's DJ rights; `room` is the banned-in room
+const announceUserBanned = async (io, room, targetId) => {
+    await evictFromRoom(io, room.roomId, targetId, 'banned');
+    io.to(room.roomId).emit('user_banned', { targetId });
+    io.to(room.roomId).emit('dj_permissions_updated', { djPermissions: room.djPermissions || [] });
+};
+
+// Close the open play-log entry for a room, if any
+const endPlayLog = (roomId, skipped) => {
+    return PlayLog.findOneAndUpdate(
+        { roomId, endedAt: null },
+        { endedAt: new Date(), skipped },
+        { sort: { startedAt: -1 } }
+    );
+};
+
+const startPlayLog = async (roomId, song) => {
+    const listeners = await presence.getListeners(roomId);
+    const listenerIds = [...new Set(listeners.map(l => l.identityId))];
+    return PlayLog.create({
+        roomId,
+        song: {
+            id: song.id,
+            title: song.title,
+            thumbnail: song.thumbnail,
+            channel: song.channel,
+            duration: song.duration
+        },
+        addedBy: song.addedBy,
+        addedByName: song.addedByName,
+        listenerIds
+    });
+};
+
+// The queue plus its version; clients send the version back with edits
+const emitQueue = (io, room) => {
+    io.to(room.roomId).emit('update_queue', room.queue, room.queueVersion || 0);
+};
+
+// Tell the room a new current song started and start tracking it.
+// `fromIdle` means nothing was playing before, so followers hear about it.
+const announceSongStarted = async (io, room, { fromIdle = false } = {}) => {
+    const { roomId } = room;
+    io.to(roomId).emit('receive_play_song', room.currentSong);
+    if (fromIdle) announceFollowedRoomPlaying(io, room);
+    emitQueue(io, room);
+    broadcastRooms(io);
+    scheduleAutoAdvance(io, room);
+    await startPlayLog(roomId, room.currentSong);
+    roomService.recordRoomActivity(roomId, 'play').catch(e => console.error('Error recording room activity:', e));
+};
+
+// After a bulk queue change from outside the queue handlers (e.g. a REST
+// playlist load): broadcast the queue and start playing if the room was idle
+const announceQueueChanged = async (io, room) => {
+    emitQueue(io, room);
+    if (!room.currentSong?.id && room.queue.length) await playNextSong(io, room);
+};
+
+// Advance the room according to its playback mode, or pause it when there is
+// nothing left to play. `skipped` marks the outgoing song as skipped rather
+// than played to the end.
+const playNextSong = async (io, room, { skipped = false } = {}) => {
+    const { roomId } = room;
+    await resetSkipVotes(io, roomId, room.skipThreshold);
+    if (room.currentSong?.id) await endPlayLog(roomId, skipped);
+
+    const updatedRoom = await queueService.advanceQueue(roomId, { skipped });
+    if (updatedRoom.currentSong?.id) {
+        await announceSongStarted(io, updatedRoom, { fromIdle: !room.currentSong?.id });
+    } else {
+        cancelAutoAdvance(roomId);
+        io.to(roomId).emit('receive_pause', { time: 0, serverTime: Date.now() });
         broadcastRooms(io);
+    }
+};
 
-        socket.on('get_active_rooms', () => {
-            broadcastRooms(io);
+// `options.presence` swaps in a shared presence store (see sockets/presence);
+// `options.multiNode` says other instances share the adapter
+const initializeSocket = (io, options = {}) => {
+    if (options.presence) presence = options.presence;
+    lobbyFeed.attach(io, { shared: !!options.multiNode });
+    initRooms(io);
+
+    // Verify the jwt cookie / bearer token before any handler runs
+    io.use(socketProtect);
+
+    io.on('connection', (socket) => {
+        console.log('A user connected:', socket.id, 'as', socket.data.identityId);
+
+        // Rooms this socket is listening in, for cleanup on disconnect
+        socket.data.joinedRooms = new Set();
+
+        // Per-user notifications (followed rooms and playlists)
+        joinUserChannel(socket);
+
+        // Flood protection for chat, reactions, requests and queueing
+        socket.use(socketRateLimit(socket));
+
+        socket.use(normalizeRoomIdArg);
+
+        // Tell the client who the server thinks it is
+        socket.emit('session_identity', {
+            userId: socket.data.user?.id || null,
+            guestId: socket.data.guestId,
+            guestToken: socket.data.guestToken || null
+        });
+
+        // Lobby clients subscribe once and then receive diffs
+        socket.on('subscribe_lobby', () => {
+            lobbyFeed.subscribe(socket).catch(err => console.error('Error subscribing to lobby:', err));
         });
 
-        socket.on('create_room', async ({ roomId, name, userId, guestId, tags, description }) => {
+        socket.on('unsubscribe_lobby', () => {
+            lobbyFeed.unsubscribe(socket);
+        });
+
+        // One-off full list, sent only to the asking socket
+        socket.on('get_active_rooms', async () => {
             try {
-                let room = await Room.findOne({ roomId });
-                if (!room) {
-                    const roomData = {
-                        roomId,
-                        name: name || roomId,
-                        isPublic: true,
-                        owner: userId,
-                        creatorId: userId || guestId,
-                        tags: tags || [],
-                        description: description || ""
-                    };
-
-                    room = await Room.create(roomData);
-                    console.log(`[Create] Room created: ${room.roomId}`);
-                    
-                    // Emit room_created back to creator
-                    socket.emit('room_created', { roomId: room.roomId });
-
-                    if (!rooms[roomId]) {
-                        rooms[roomId] = {
-                            id: roomId,
-                            users: {},
-                            skipVotes: new Set()
-                        };
-                    }
-                    console.log(`Room created with tags: ${tags}`);
-                }
-                broadcastRooms(io);
+                socket.emit('update_active_rooms', await lobbyFeed.getRooms());
+            } catch (err) {
+                console.error('Error sending active rooms:', err);
+            }
+        });
+
+        // Search/filter the lobby instead of receiving every room
+        socket.on('discover_rooms', async (query = {}, ack) => {
+            try {
+                const result = await roomService.discoverRooms(query, { liveRoomIds: await getLiveRoomIds() });
+                const counts = await countListeners(result.rooms.map(r => r.roomId));
+                const payload = {
+                    ...result,
+                    rooms: result.rooms.map(r => roomService.serializeRoom(r, counts[r.roomId]))
+                };
+                if (typeof ack === 'function') return ack(payload);
+                socket.emit('discover_results', payload);
+            } catch (err) {
+                console.error('Error discovering rooms:', err);
+                socket.emit('error', { message: 'Failed to search rooms' });
+            }
+        });
+
+        socket.on('create_room', async ({ roomId, name, tags, description, isPublic, password }) => {
+            try {
+                const room = await roomService.createRoom(
+                    { roomId, name, tags, description, isPublic, password },
+                    { userId: socket.data.user?.id, identityId: socket.data.identityId }
+                );
+                console.log(`[Create] Room created: ${room.roomId}`);
+
+                // Emit room_created back to creator
+                socket.emit('room_created', { roomId: room.roomId });
+                announceRoomCreated(io, room);
             } catch (err) {
-                console.error('Error creating room:', err);
-                socket.emit('error', { message: 'Failed to create room' });
+                console.error('Error creating room:', err.message);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to create room' });
             }
         });
 
-        socket.on('join_room', async ({ roomId, userProfile, guestId, password, inviteCode }) => {
-            const effectiveUserId = userProfile?.userId || guestId;
-            console.log(`User ${userProfile?.name} (ID: ${effectiveUserId}) attempting to join room: ${roomId}`);
+        socket.on('join_room', async ({ roomId, userProfile, password, inviteCode }) => {
+            const effectiveUserId = socket.data.identityId;
+            const authUser = socket.data.user;
+            console.log(`User ${authUser?.name || userProfile?.name} (ID: ${effectiveUserId}) attempting to join room: ${roomId}`);
 
             try {
-                // Fetch room from DB
-                let roomData = await Room.findOne({ roomId });
-                // fallback normalized
-                if (!roomData) roomData = await Room.findOne({ roomId: roomId ? String(roomId).toLowerCase() : roomId });
+                // Server-side channels aren't rooms
+                if (isUserChannel(roomId) || isLobbyChannel(roomId)) {
+                    return socket.emit('join_rejected', { roomId, reason: 'invalid_room' });
+                }
+
+                // Fetch room from DB (roomId is already normalized, see normalizeRoomIdArg)
+                let roomData = await Room.findOne({ roomId }).select('+password');
 
                 if (!roomData) {
                     console.log(`[DB] Room not found, attempting to create: ${roomId}`);
                     try {
-                        roomData = await Room.create({
-                            roomId: roomId.toLowerCase(),
-                            name: roomId,
-                            isPublic: true,
-                            owner: userProfile?.userId || null,
-                            creatorId: effectiveUserId
-                        });
+                        // Same validation as create_room and POST /api/rooms
+                        roomData = await roomService.createRoom(
+                            { roomId },
+                            { userId: authUser?.id, identityId: effectiveUserId }
+                        );
                         console.log(`[DB] Room created successfully in DB: ${roomData.roomId} with creator: ${effectiveUserId}`);
-                    } catch (dbErr) {
-                        console.error(`[DB ERROR] Failed to create room ${roomId}:`, dbErr.message);
+                    } catch (err) {
+                        if (err.statusCode !== 409) {
+                            console.log(`[Access] Could not create room ${roomId}: ${err.message}`);
+                            return socket.emit('join_rejected', { roomId, reason: 'invalid_room', message: err.message });
+                        }
+                        // Someone else's join created it a moment ago
+                        roomData = await Room.findOne({ roomId }).select('+password');
+                        if (!roomData) throw err;
                     }
                 } else {
                     console.log(`[DB] Found existing room: ${roomData.roomId}`);
@@ -132,40 +615,64 @@ const initializeSocket = (io) => {
                     if (!roomData.creatorId) {
                         console.log(`[DB] Setting missing creatorId for existing room: ${roomId}`);
                         roomData.creatorId = effectiveUserId;
-                        if (userProfile?.userId) roomData.owner = userProfile.userId;
+                        if (authUser) roomData.owner = authUser.id;
                         await Room.findOneAndUpdate({ roomId: roomData.roomId }, { creatorId: effectiveUserId, owner: roomData.owner });
                     }
-                }
 
-                if (!rooms[roomId]) {
-                    rooms[roomId] = {
-                        id: roomId,
-                        users: {},
-                        skipVotes: new Set()
-                    };
+                    if (moderationService.isBanned(roomData, effectiveUserId)) {
+                        console.log(`[Access] Banned identity ${effectiveUserId} rejected from ${roomId}`);
+                        return socket.emit('join_rejected', { roomId, reason: 'banned' });
+                    }
+
+                    const rejection = await checkRoomAccess(roomData, effectiveUserId, { password, inviteCode });
+                    if (rejection) {
+                        console.log(`[Access] ${effectiveUserId} rejected from ${roomId}: ${rejection}`);
+                        return socket.emit('join_rejected', { roomId, reason: rejection });
+                    }
                 }
 
                 // Now join the socket after validation
-                socket.join(roomId);
-
-                rooms[roomId].users[socket.id] = {
+                socket.join(roomData.roomId);
+                socket.data.joinedRooms.add(roomData.roomId);
+
+                const identityId = socket.data.identityId;
+                // Other tabs, or a socket still inside its reconnect grace period
+                const existing = entriesOf(await presence.getListeners(roomData.roomId), identityId);
+                await presence.setRoomName(roomData.roomId, roomData.name);
+                await presence.addListener(roomData.roomId, {
                     id: socket.id,
-                    name: userProfile?.name || `User_${socket.id.substring(0, 4)}`,
-                    color: userProfile?.color || '#3b82f6',
-                    userId: userProfile?.userId || null
-                };
+                    identityId,
+                    name: authUser?.name || userProfile?.name || `User_${socket.id.substring(0, 4)}`,
+                    color: authUser?.color || userProfile?.color || '#3b82f6',
+                    userId: authUser?.id || null,
+                    guestId: socket.data.guestId,
+                    // Keep the original start across tabs and reconnects
+                    joinedAt: existing.length ? Math.min(...existing.map(l => l.joinedAt)) : Date.now()
+                });
 
-                // Notify followers if this user is a DJ (room creator)
-                if (roomData && userProfile?.userId && String(roomData.creatorId) === String(userProfile.userId)) {
-                    console.log(`DJ ${userProfile.name} (${userProfile.userId}) joined their room ${roomId}`);
-                    // Emit to all connected clients - they'll filter based on who they follow
-                    io.emit('dj_went_live', {
-                        djId: userProfile.userId,
-                        djName: userProfile.name,
-                        roomId: roomId,
-                        roomName: roomData.name
-                    });
-                    console.log(`Broadcasted dj_went_live event for ${userProfile.name}`);
+                // A reconnect replaces the dropped socket rather than waiting out the grace period
+                await Promise.all(existing
+                    .filter(l => l.disconnectedAt)
+                    .map(l => presence.removeListener(roomData.roomId, l.id)));
+                const members = await getMembers(roomData.roomId);
+
+                // One join per visit: other tabs and reconnects don't add to trending
+                if (existing.length === 0) {
+                    roomService.recordRoomActivity(roomData.roomId, 'join')
+                        .catch(e => console.error('Error recording room activity:', e));
+                }
+
+                // Count late joiners as listeners of the song in progress
+                PlayLog.updateOne(
+                    { roomId: roomData.roomId, endedAt: null },
+                    { $addToSet: { listenerIds: effectiveUserId } }
+                ).catch(e => console.error('Error updating play log:', e));
+
+                // Notify followers if this user is a DJ (room creator), once
+                // per visit rather than per tab or reconnect
+                if (roomData && authUser && existing.length === 0 && String(roomData.creatorId) === String(authUser.id)) {
+                    console.log(`DJ ${authUser.name} (${authUser.id}) joined their room ${roomId}`);
+                    announceDJLive(io, authUser, roomData).catch(e => console.error('Error announcing DJ live:', e));
                 }
 
                 // Send existing room state to the new user
@@ -175,211 +682,439 @@ const initializeSocket = (io) => {
                     queue: roomData.queue || [],
                     currentSong: roomData.currentSong || null,
                     isPlaying: roomData.isPlaying || false,
-                    currentTime: roomData.currentTime || 0,
+                    currentTime: roomData.getPlaybackPosition(),
+                    serverTime: Date.now(),
                     owner: roomData.owner,
                     creatorId: roomData.creatorId,
+                    isPublic: roomData.isPublic,
+                    hasPassword: !!roomData.password,
                     djPermissions: roomData.djPermissions || [],
                     songRequests: roomData.songRequests || [],
-                    users: Object.values(rooms[roomId].users)
+                    queueVersion: roomData.queueVersion || 0,
+                    duplicatePolicy: roomData.duplicatePolicy || 'block',
+                    duplicateGap: roomData.duplicateGap,
+                    queueMode: roomData.queueMode || 'ordered',
+                    playbackMode: roomData.playbackMode || 'normal',
+                    autoplayPlaylistId: roomData.autoplayPlaylist || null,
+                    fairShareLimit: roomData.fairShareLimit,
+                    followersCount: roomData.followers?.length || 0,
+                    isFollowing: followService.isFollower(roomData, authUser?.id),
+                    users: members,
+                    skipVotes: await getSkipTally(roomData.roomId, roomData.skipThreshold)
                 };
 
                 console.log(`Sending state to user ${socket.id} for room ${roomId}`);
                 socket.emit('receive_room_state', state);
 
+                const recentMessages = await Message.find({ roomId: roomData.roomId, deletedAt: null })
+                    .sort('-createdAt')
+                    .limit(CHAT_HISTORY_LIMIT);
+                socket.emit('chat_history', {
+                    messages: recentMessages.reverse(),
+                    hasMore: recentMessages.length === CHAT_HISTORY_LIMIT
+                });
+
                 // Notify others
-                io.to(roomId).emit('update_listeners', Object.values(rooms[roomId].users));
+                if (existing.length === 0) {
+                    socket.to(roomData.roomId).emit('user_joined', {
+                        roomId: roomData.roomId,
+                        user: members.find(m => m.id === identityId)
+                    });
+                }
+                io.to(roomData.roomId).emit('update_listeners', members);
                 broadcastRooms(io);
             } catch (err) {
                 console.error('Error joining room:', err);
             }
         });
 
-        socket.on('add_to_queue', async ({ roomId, song }) => {
+        socket.on('update_room', async ({ roomId, name, description, tags, isPublic }) => {
             try {
-                const roomData = await Room.findOne({ roomId });
-                if (!roomData) return;
+                const room = await roomService.updateRoom(roomId, socket.data.identityId, {
+                    name, description, tags, isPublic
+                });
+                await announceRoomUpdated(io, room, { privacyChanged: isPublic !== undefined });
+            } catch (err) {
+                console.error('Error updating room:', err.message);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to update room' });
+            }
+        });
 
-                // Check if song already exists in queue or is current
-                const isDuplicate = roomData.queue.some(s => s.id === song.id) ||
-                    (roomData.currentSong && roomData.currentSong.id === song.id);
+        socket.on('update_room_privacy', async ({ roomId, isPublic, password }) => {
+            try {
+                const updatedRoom = await roomService.updateRoom(roomId, socket.data.identityId, {
+                    isPublic: typeof isPublic === 'boolean' ? isPublic : undefined,
+                    password
+                });
+                await announceRoomUpdated(io, updatedRoom, { privacyChanged: true });
+            } catch (err) {
+                console.error('Error updating room privacy:', err.message);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to update privacy settings' });
+            }
+        });
 
-                if (isDuplicate) {
-                    console.log(`[Queue] Blocked duplicate song: ${song.title}`);
-                    return socket.emit('queue_feedback', { type: 'error', message: 'Signal already in sequence' });
+        socket.on('create_invite_code', async ({ roomId, expiresInMinutes, maxUses }) => {
+            try {
+                const room = await Room.findOne({ roomId });
+                if (!room) return socket.emit('error', { message: 'Room not found' });
+
+                if (String(room.creatorId) !== String(socket.data.identityId)) {
+                    return socket.emit('error', { message: 'Only the room owner can create invite codes.' });
                 }
 
-                const room = await Room.findOneAndUpdate(
-                    { roomId },
-                    { $push: { queue: song } },
-                    { new: true }
+                const invite = {
+                    code: crypto.randomBytes(6).toString('base64url'),
+                    createdBy: socket.data.identityId,
+                    expiresAt: expiresInMinutes > 0 ? new Date(Date.now() + expiresInMinutes * 60 * 1000) : undefined,
+                    usesLeft: maxUses > 0 ? Math.floor(maxUses) : null
+                };
+
+                // Expired or used-up codes are pruned whenever a new one is issued
+                const activeCodes = room.inviteCodes.filter(i =>
+                    (!i.expiresAt || i.expiresAt > new Date()) && i.usesLeft !== 0
                 );
+                await Room.findOneAndUpdate({ roomId }, { inviteCodes: [...activeCodes, invite] });
 
-                if (room) {
-                    console.log(`Queue updated for ${roomId}, length: ${room.queue.length}`);
-                    io.to(roomId).emit('update_queue', room.queue);
-
-                    // If no song is playing, start this one
-                    if (!room.currentSong) {
-                        console.log(`No song playing in ${roomId}, auto-starting added song`);
-                        const nextSong = room.queue.shift();
-                        const updatedRoom = await Room.findOneAndUpdate(
-                            { roomId },
-                            {
-                                currentSong: nextSong,
-                                queue: room.queue,
-                                isPlaying: true,
-                                currentTime: 0
-                            },
-                            { new: true }
-                        );
-                        io.to(roomId).emit('receive_play_song', updatedRoom.currentSong);
-                        io.to(roomId).emit('update_queue', updatedRoom.queue);
-                    }
-                } else {
-                    console.warn(`Room ${roomId} not found during add_to_queue`);
-                }
+                socket.emit('invite_code_created', { roomId, ...invite });
             } catch (err) {
-                console.error('Error adding to queue:', err);
+                console.error('Error creating invite code:', err);
+                socket.emit('error', { message: 'Failed to create invite code' });
             }
         });
 
-        socket.on('delete_room', async ({ roomId, userId, guestId }) => {
+        // Whether this socket has a seat in the room. join_room is where bans
+        // and private-room access are checked, and a ban evicts, so events
+        // that act on a room require one.
+        const isInRoom = async (roomId) => !!(await presence.getListener(roomId, socket.id));
+
+        // Who this socket is, for attributing songs it adds
+        const actorOf = async (roomId) => ({
+            id: socket.data.identityId,
+            userId: socket.data.user?.id || null,
+            name: socket.data.user?.name || (await presence.getListener(roomId, socket.id))?.name || 'Guest'
+        });
+
+        // Append a song to the queue on behalf of this socket and start it
+        // if nothing is playing
+        const enqueueSong = async (roomId, song) => {
+            if (!song?.id) return;
+            if (!(await isInRoom(roomId))) {
+                return socket.emit('queue_feedback', { type: 'error', message: 'Join the room before adding songs.' });
+            }
+
+            let room;
             try {
-                const room = await Room.findOne({ roomId });
-                if (!room) return;
+                room = await queueService.addToQueue(roomId, await actorOf(roomId), song);
+            } catch (err) {
+                if (!err.statusCode) throw err;
+                // Duplicate policy, missing room and so on
+                console.log(`[Queue] Rejected ${song.title} in ${roomId}: ${err.message}`);
+                return socket.emit('queue_feedback', { type: 'error', message: err.message });
+            }
 
-                const effectiveUserId = userId || guestId;
+            console.log(`Queue updated for ${roomId}, length: ${room.queue.length}`);
+            emitQueue(io, room);
 
-                // Only creator can delete
-                if (!hasDJPermission(room, effectiveUserId) || String(room.creatorId) !== String(effectiveUserId)) {
-                    return socket.emit('error', { message: 'Only the room creator can delete this room.' });
-                }
+            // If no song is playing, start this one
+            if (!room.currentSong?.id) {
+                console.log(`No song playing in ${roomId}, auto-starting added song`);
+                await playNextSong(io, room);
+            }
+        };
+
+        socket.on('add_to_queue', async ({ roomId, song }) => {
+            try {
+                await enqueueSong(roomId, song);
+            } catch (err) {
+                console.error('Error adding to queue:', err);
+            }
+        });
 
-                await Room.deleteOne({ roomId });
-                console.log(`[DB] Room deleted: ${roomId}`);
+        // Re-queue a song from the room's play history
+        socket.on('play_again', async ({ roomId, logId }) => {
+            try {
+                if (!mongoose.isValidObjectId(logId)) return;
+                if (!(await isInRoom(roomId))) {
+                    return socket.emit('queue_feedback', { type: 'error', message: 'Join the room before adding songs.' });
+                }
+                const log = await PlayLog.findOne({ _id: logId, roomId });
+                if (!log) return socket.emit('queue_feedback', { type: 'error', message: 'History entry not found' });
 
-                // Inform everyone in the room
-                io.to(roomId).emit('room_deleted');
+                await enqueueSong(roomId, log.song);
+            } catch (err) {
+                console.error('Error in play_again:', err);
+            }
+        });
 
-                // Notify all clients to update their active rooms list
-                broadcastRooms(io);
+        socket.on('delete_room', async ({ roomId }) => {
+            try {
+                const room = await roomService.deleteRoom(roomId, socket.data.identityId);
+                console.log(`[DB] Room deleted: ${room.roomId}`);
+                announceRoomDeleted(io, room.roomId);
             } catch (err) {
-                console.error('Error deleting room:', err);
+                console.error('Error deleting room:', err.message);
+                if (err.statusCode === 403) socket.emit('error', { message: err.message });
             }
         });
 
-        socket.on('next_song', async ({ roomId, userId, guestId }) => {
+        socket.on('next_song', async ({ roomId }) => {
             try {
                 const room = await Room.findOne({ roomId });
                 if (room) {
-                    const effectiveUserId = userId || guestId;
+                    const effectiveUserId = socket.data.identityId;
 
                     // Only DJ can skip
                     if (!hasDJPermission(room, effectiveUserId)) {
                         return socket.emit('error', { message: 'Only DJs can skip songs.' });
                     }
 
-                    if (room.queue.length > 0) {
-                        const nextSong = room.queue.shift();
-                        const updatedRoom = await Room.findOneAndUpdate(
-                            { roomId },
-                            {
-                                currentSong: nextSong,
-                                queue: room.queue,
-                                isPlaying: true,
-                                currentTime: 0
-                            },
-                            { new: true }
-                        );
-                        io.to(roomId).emit('receive_play_song', updatedRoom.currentSong);
-                        io.to(roomId).emit('update_queue', updatedRoom.queue);
-                    } else {
-                        await Room.findOneAndUpdate(
-                            { roomId },
-                            { currentSong: null, isPlaying: false }
-                        );
-                        io.to(roomId).emit('receive_pause');
-                    }
+                    // Nothing to race over when idle: this just starts the queue
+                    if (room.currentSong?.id) await skipCurrentSong(io, room);
+                    else await playNextSong(io, room, { skipped: true });
                 }
             } catch (err) {
                 console.error('Error in next_song:', err);
             }
         });
 
-        socket.on('remove_from_queue', async ({ roomId, queueId, userId, guestId }) => {
+        socket.on('vote_skip', async ({ roomId }) => {
             try {
-                const roomConfig = await Room.findOne({ roomId });
-                const effectiveUserId = userId || guestId;
-
-                // Authorization check
-                if (!hasDJPermission(roomConfig, effectiveUserId)) {
-                    return console.log("Unauthorized removal attempt");
+                if (!(await presence.getListener(roomId, socket.id))) {
+                    return socket.emit('error', { message: 'Join the room before voting to skip.' });
                 }
 
-                const room = await Room.findOneAndUpdate(
-                    { roomId },
-                    { $pull: { queue: { id: queueId } } },
-                    { new: true }
-                );
+                const room = await Room.findOne({ roomId });
+                if (!room?.currentSong?.id) return;
 
-                if (room) {
-                    io.to(roomId).emit('update_queue', room.queue);
-                    console.log(`Item ${queueId} removed from ${roomId}`);
+                // One vote per identity, however many tabs it has open
+                await presence.addSkipVote(roomId, socket.data.identityId);
+
+                const tally = await getSkipTally(roomId, room.skipThreshold);
+                io.to(roomId).emit('skip_votes_updated', tally);
+
+                // Votes arriving together all reach the threshold; only one skips
+                if (tally.votes >= tally.required && await skipCurrentSong(io, room)) {
+                    console.log(`[Skip] Vote threshold reached in ${roomId} (${tally.votes}/${tally.required})`);
                 }
             } catch (err) {
-                console.error('Error removing from queue:', err);
+                console.error('Error in vote_skip:', err);
             }
         });
 
-        socket.on('shuffle_queue', async ({ roomId, userId, guestId }) => {
+        socket.on('set_skip_threshold', async ({ roomId, threshold }) => {
             try {
-                const roomConfig = await Room.findOne({ roomId });
-                const effectiveUserId = userId || guestId;
+                const room = await Room.findOne({ roomId });
+                if (!room) return socket.emit('error', { message: 'Room not found' });
 
-                if (!hasDJPermission(roomConfig, effectiveUserId)) {
-                    return console.log("Unauthorized shuffle attempt");
+                if (!hasDJPermission(room, socket.data.identityId)) {
+                    return socket.emit('error', { message: 'Only DJs can change the skip threshold.' });
                 }
 
-                if (!roomConfig || roomConfig.queue.length <= 1) return;
-
-                // Fisher-Yates shuffle
-                const shuffled = [...roomConfig.queue];
-                for (let i = shuffled.length - 1; i > 0; i--) {
-                    const j = Math.floor(Math.random() * (i + 1));
-                    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+                const value = Number(threshold);
+                if (!(value >= 0.1 && value <= 1)) {
+                    return socket.emit('error', { message: 'Skip threshold must be between 0.1 and 1.' });
                 }
 
-                const room = await Room.findOneAndUpdate(
-                    { roomId },
-                    { queue: shuffled },
-                    { new: true }
+                await Room.findOneAndUpdate({ roomId }, { skipThreshold: value });
+                io.to(roomId).emit('skip_votes_updated', await getSkipTally(roomId, value));
+            } catch (err) {
+                console.error('Error setting skip threshold:', err);
+            }
+        });
+
+        // Queue edits can carry the queueVersion the DJ was looking at. On a
+        // conflict the DJ gets the current queue back to retry against.
+        const handleQueueEditError = async (roomId, err, fallback) => {
+            if (err.statusCode === 409) {
+                const room = await Room.findOne({ roomId });
+                if (room) socket.emit('update_queue', room.queue, room.queueVersion || 0);
+            }
+            socket.emit('queue_feedback', { type: 'error', message: err.statusCode ? err.message : fallback });
+        };
+
+        socket.on('remove_from_queue', async ({ roomId, queueId, version }) => {
+            try {
+                const room = await queueService.removeQueueItem(roomId, socket.data.identityId, {
+                    queueId,
+                    expectedVersion: version
+                });
+                emitQueue(io, room);
+                console.log(`Item ${queueId} removed from ${roomId}`);
+            } catch (err) {
+                if (err.statusCode === 403) return console.log("Unauthorized removal attempt");
+                console.error('Error removing from queue:', err.message);
+                await handleQueueEditError(roomId, err, 'Failed to remove song');
+            }
+        });
+
+        // Queue a whole playlist of the DJ's
+        socket.on('load_playlist', async ({ roomId, playlistId, shuffle, limit }) => {
+            try {
+                const { room, playlist, added, skipped } = await queueService.enqueuePlaylist(
+                    roomId,
+                    await actorOf(roomId),
+                    { playlistId, shuffle, limit }
                 );
+                await announceQueueChanged(io, room);
+                socket.emit('queue_feedback', {
+                    type: 'success',
+                    message: `Added ${added} songs from ${playlist.name}` + (skipped ? ` (${skipped} skipped)` : ''),
+                    added,
+                    skipped
+                });
+            } catch (err) {
+                console.error('Error loading playlist:', err.message);
+                socket.emit('queue_feedback', { type: 'error', message: err.statusCode ? err.message : 'Failed to load playlist' });
+            }
+        });
 
-                if (room) {
-                    io.to(roomId).emit('update_queue', room.queue);
-                    console.log(`Queue shuffled for room ${roomId}`);
+        // Save the current song and queue as a new playlist of the caller's
+        socket.on('save_queue_as_playlist', async ({ roomId, name }) => {
+            try {
+                const playlist = await playlistService.createFromRoom(roomId, socket.data.user?.id, { name });
+                socket.emit('playlist_saved', { playlist: playlistService.serializePlaylist(playlist, socket.data.user.id) });
+            } catch (err) {
+                console.error('Error saving queue as playlist:', err.message);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to save playlist' });
+            }
+        });
+
+        socket.on('set_queue_mode', async ({ roomId, mode, limit }) => {
+            try {
+                const room = await queueService.setQueueMode(roomId, socket.data.identityId, { mode, limit });
+                io.to(room.roomId).emit('queue_mode_updated', {
+                    mode: room.queueMode,
+                    limit: room.fairShareLimit
+                });
+                emitQueue(io, room);
+            } catch (err) {
+                console.error('Error setting queue mode:', err.message);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to update queue mode' });
+            }
+        });
+
+        socket.on('set_playback_mode', async ({ roomId, mode, playlistId }) => {
+            try {
+                const room = await queueService.setPlaybackMode(roomId, socket.data.identityId, { mode, playlistId });
+                io.to(room.roomId).emit('playback_mode_updated', {
+                    mode: room.playbackMode,
+                    autoplayPlaylistId: room.autoplayPlaylist || null
+                });
+
+                // Autoplay can start an idle room straight away
+                if (room.playbackMode === 'autoplay' && !room.currentSong?.id) {
+                    await playNextSong(io, room);
                 }
             } catch (err) {
+                console.error('Error setting playback mode:', err.message);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to update playback mode' });
+            }
+        });
+
+        socket.on('set_duplicate_policy', async ({ roomId, policy, gap }) => {
+            try {
+                const room = await queueService.setDuplicatePolicy(roomId, socket.data.identityId, { policy, gap });
+                io.to(room.roomId).emit('duplicate_policy_updated', {
+                    policy: room.duplicatePolicy,
+                    gap: room.duplicateGap
+                });
+            } catch (err) {
+                console.error('Error setting duplicate policy:', err.message);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to update duplicate policy' });
+            }
+        });
+
+        socket.on('shuffle_queue', async ({ roomId }) => {
+            try {
+                const room = await queueService.shuffleQueue(roomId, socket.data.identityId);
+                emitQueue(io, room);
+                console.log(`Queue shuffled for room ${roomId}`);
+            } catch (err) {
+                if (err.statusCode === 403) return console.log("Unauthorized shuffle attempt");
                 console.error('Error shuffling queue:', err);
             }
         });
 
-        socket.on('send_reaction', ({ roomId, emoji }) => {
-            io.to(roomId).emit('receive_reaction', { emoji, id: Date.now() });
+        socket.on('move_queue_item', async ({ roomId, queueId, toIndex, version }) => {
+            try {
+                const room = await queueService.moveQueueItem(roomId, socket.data.identityId, {
+                    queueId,
+                    toIndex,
+                    expectedVersion: version
+                });
+                emitQueue(io, room);
+            } catch (err) {
+                console.error('Error moving queue item:', err.message);
+                await handleQueueEditError(roomId, err, 'Failed to move song');
+            }
+        });
+
+        // Queue a song (already queued, or new) to play right after the current one
+        socket.on('play_next', async ({ roomId, queueId, song, version }) => {
+            try {
+                const room = await queueService.playNext(roomId, await actorOf(roomId), {
+                    queueId,
+                    song,
+                    expectedVersion: version
+                });
+                emitQueue(io, room);
+                if (!room.currentSong?.id) await playNextSong(io, room);
+            } catch (err) {
+                console.error('Error in play_next:', err.message);
+                await handleQueueEditError(roomId, err, 'Failed to queue song');
+            }
+        });
+
+        // Interrupt the current song; it goes back to the front of the queue
+        socket.on('play_now', async ({ roomId, queueId, song, version }) => {
+            try {
+                const { room, previous } = await queueService.playNow(roomId, await actorOf(roomId), {
+                    queueId,
+                    song,
+                    expectedVersion: version
+                });
+
+                await resetSkipVotes(io, room.roomId, room.skipThreshold);
+                if (previous) await endPlayLog(room.roomId, true);
+                await announceSongStarted(io, room, { fromIdle: !previous });
+            } catch (err) {
+                console.error('Error in play_now:', err.message);
+                await handleQueueEditError(roomId, err, 'Failed to play song');
+            }
+        });
+
+        socket.on('send_reaction', async ({ roomId, emoji }) => {
+            try {
+                if (!(await isInRoom(roomId))) return;
+                if (await moderationService.isMuted(roomId, socket.data.identityId)) {
+                    return socket.emit('error', { message: 'You are muted in this room.' });
+                }
+                io.to(roomId).emit('receive_reaction', { emoji, id: Date.now() });
+            } catch (err) {
+                console.error('Error sending reaction:', err);
+            }
         });
 
         // Relay play event
-        socket.on('send_play', async ({ roomId, time, userId, guestId }) => {
+        socket.on('send_play', async ({ roomId, time }) => {
             try {
                 const room = await Room.findOne({ roomId });
                 if (room) {
-                    const effectiveUserId = userId || guestId;
+                    const effectiveUserId = socket.data.identityId;
                     if (!hasDJPermission(room, effectiveUserId)) {
                         return socket.emit('error', { message: 'Only DJs can play music.' });
                     }
 
-                    await Room.findOneAndUpdate({ roomId }, { isPlaying: true, currentTime: time });
-                    io.to(roomId).emit('receive_play', { time });
+                    // Resume from the live position unless the DJ gives one
+                    const position = Number.isFinite(time) ? time : room.getPlaybackPosition();
+                    const serverTime = Date.now();
+                    const updatedRoom = await Room.findOneAndUpdate({ roomId }, {
+                        isPlaying: true,
+                        currentTime: position,
+                        playStartedAt: new Date(serverTime - position * 1000)
+                    }, { new: true });
+                    io.to(roomId).emit('receive_play', { time: position, serverTime });
+                    scheduleAutoAdvance(io, updatedRoom);
                 }
             } catch (err) {
                 console.error('Error in send_play:', err);
@@ -387,17 +1122,17 @@ const initializeSocket = (io) => {
         });
 
         // Relay Pause event
-        socket.on('send_pause', async ({ roomId, userId, guestId }) => {
+        socket.on('send_pause', async ({ roomId }) => {
             try {
                 const room = await Room.findOne({ roomId });
                 if (room) {
-                    const effectiveUserId = userId || guestId;
+                    const effectiveUserId = socket.data.identityId;
                     if (!hasDJPermission(room, effectiveUserId)) {
                         return socket.emit('error', { message: 'Only DJs can pause music.' });
                     }
 
-                    await Room.findOneAndUpdate({ roomId }, { isPlaying: false });
-                    io.to(roomId).emit('receive_pause');
+                    const time = await pausePlayback(roomId);
+                    io.to(roomId).emit('receive_pause', { time, serverTime: Date.now() });
                 }
             } catch (err) {
                 console.error('Error in send_pause:', err);
@@ -405,25 +1140,119 @@ const initializeSocket = (io) => {
         });
 
         // Relay seek event
-        socket.on('send_seek', async ({ roomId, time, userId, guestId }) => {
+        socket.on('send_seek', async ({ roomId, time }) => {
             try {
                 const room = await Room.findOne({ roomId });
                 if (room) {
-                    const effectiveUserId = userId || guestId;
+                    const effectiveUserId = socket.data.identityId;
                     if (!hasDJPermission(room, effectiveUserId)) {
                         return socket.emit('error', { message: 'Only DJs can scrub.' });
                     }
 
-                    await Room.findOneAndUpdate({ roomId }, { currentTime: time });
-                    io.to(roomId).emit('receive_seek', { time });
+                    if (!Number.isFinite(time) || time < 0) return;
+
+                    const serverTime = Date.now();
+                    const updatedRoom = await Room.findOneAndUpdate({ roomId }, {
+                        currentTime: time,
+                        playStartedAt: room.isPlaying ? new Date(serverTime - time * 1000) : null
+                    }, { new: true });
+                    io.to(roomId).emit('receive_seek', { time, serverTime });
+                    scheduleAutoAdvance(io, updatedRoom);
                 }
             } catch (err) {
                 console.error('Error in send_seek:', err);
             }
         });
 
-        socket.on('send_message', (data) => {
-            io.to(data.roomId).emit('receive_message', data);
+        // Clock sync: clients send their own timestamp and estimate
+        // offset = serverTime - (clientTime + rtt / 2)
+        socket.on('sync_ping', ({ clientTime } = {}, ack) => {
+            const pong = { clientTime, serverTime: Date.now() };
+            if (typeof ack === 'function') return ack(pong);
+            socket.emit('sync_pong', pong);
+        });
+
+        socket.on('send_message', async ({ roomId, text }) => {
+            try {
+                const listener = await presence.getListener(roomId, socket.id);
+                if (!listener) {
+                    return socket.emit('error', { message: 'Join the room before chatting.' });
+                }
+
+                const cleanText = sanitizeMessageText(text);
+                if (!cleanText) {
+                    return socket.emit('error', {
+                        message: `Messages must be 1-${Message.MAX_MESSAGE_LENGTH} characters.`
+                    });
+                }
+
+                if (await moderationService.isMuted(roomId, socket.data.identityId)) {
+                    return socket.emit('error', { message: 'You are muted in this room.' });
+                }
+
+                const message = await Message.create({
+                    roomId,
+                    senderId: socket.data.identityId,
+                    senderName: listener.name,
+                    senderColor: listener.color,
+                    text: cleanText
+                });
+
+                io.to(roomId).emit('receive_message', message);
+            } catch (err) {
+                console.error('Error sending message:', err);
+            }
+        });
+
+        socket.on('edit_message', async ({ roomId, messageId, text }) => {
+            try {
+                if (!mongoose.isValidObjectId(messageId)) return;
+
+                const cleanText = sanitizeMessageText(text);
+                if (!cleanText) {
+                    return socket.emit('error', {
+                        message: `Messages must be 1-${Message.MAX_MESSAGE_LENGTH} characters.`
+                    });
+                }
+
+                // Only the author can edit, and deleted messages stay deleted
+                const message = await Message.findOneAndUpdate(
+                    { _id: messageId, roomId, senderId: socket.data.identityId, deletedAt: null },
+                    { text: cleanText, editedAt: new Date() },
+                    { new: true }
+                );
+                if (!message) return socket.emit('error', { message: 'You can only edit your own messages.' });
+
+                io.to(roomId).emit('message_updated', message);
+            } catch (err) {
+                console.error('Error editing message:', err);
+            }
+        });
+
+        socket.on('delete_message', async ({ roomId, messageId }) => {
+            try {
+                if (!mongoose.isValidObjectId(messageId)) return;
+
+                const message = await Message.findOne({ _id: messageId, roomId, deletedAt: null });
+                if (!message) return;
+
+                // Authors delete their own; DJs and the owner moderate everyone's
+                if (message.senderId !== socket.data.identityId) {
+                    const room = await Room.findOne({ roomId });
+                    if (!hasDJPermission(room, socket.data.identityId)) {
+                        return socket.emit('error', { message: 'Only DJs can delete other people\'s messages.' });
+                    }
+                }
+
+                await Message.updateOne(
+                    { _id: messageId },
+                    { text: '', deletedAt: new Date(), deletedBy: socket.data.identityId }
+                );
+
+                io.to(roomId).emit('message_deleted', { messageId });
+            } catch (err) {
+                console.error('Error deleting message:', err);
+            }
         });
 
         // WebRTC screen sharing signaling - forward offers/answers/candidates and stop events
@@ -465,10 +1294,14 @@ const initializeSocket = (io) => {
         });
 
         // Request a song
-        socket.on('request_song', async ({ roomId, song, userId, guestId, userName, userColor }) => {
+        socket.on('request_song', async ({ roomId, song, userName, userColor }) => {
             try {
-                console.log('🎵 Song request received:', { roomId, songTitle: song.title, userId, guestId });
-                
+                console.log('🎵 Song request received:', { roomId, songTitle: song.title, identityId: socket.data.identityId });
+
+                if (!(await isInRoom(roomId))) {
+                    return socket.emit('request_feedback', { type: 'error', message: 'Join the room before requesting songs.' });
+                }
+
                 const normalizedRoomId = roomId ? String(roomId).toLowerCase() : roomId;
                 let room = await Room.findOne({ roomId: normalizedRoomId });
                 if (!room) {
@@ -480,6 +1313,10 @@ const initializeSocket = (io) => {
                     return socket.emit('error', { message: 'Room not found' });
                 }
 
+                if (await moderationService.isMuted(room.roomId, socket.data.identityId)) {
+                    return socket.emit('request_feedback', { type: 'error', message: 'You are muted in this room.' });
+                }
+
                 // Check for duplicate requests (pending status only)
                 const isDuplicate = room.songRequests?.some(
                     req => req.id === song.id && req.status === 'pending'
@@ -492,24 +1329,21 @@ const initializeSocket = (io) => {
                     });
                 }
 
-                // Also check if song is in queue
-                const inQueue = room.queue?.some(q => q.id === song.id);
-                if (inQueue) {
-                    console.log('⚠️ Song already in queue:', song.id);
-                    return socket.emit('request_feedback', { 
-                        type: 'error', 
-                        message: 'This song is already in the queue' 
-                    });
+                // Also check the room's duplicate policy against the queue
+                try {
+                    queueService.assertCanQueue(room, song.id, undefined, await queueService.recentPlays(room));
+                } catch (err) {
+                    console.log('⚠️ Song blocked by duplicate policy:', song.id);
+                    return socket.emit('request_feedback', { type: 'error', message: err.message });
                 }
 
-                const effectiveUserId = userId || guestId;
+                const effectiveUserId = socket.data.identityId;
                 const newRequest = {
                     _id: new mongoose.Types.ObjectId(),
                     userId: effectiveUserId,
-                    userName: userName || 'Guest',
-                    userColor: userColor || '#3b82f6',
+                    userName: socket.data.user?.name || userName || 'Guest',
+                    userColor: socket.data.user?.color || userColor || '#3b82f6',
                     id: song.id,
-                    queueId: song.queueId,
                     title: song.title,
                     thumbnail: song.thumbnail,
                     channel: song.channel,
@@ -556,88 +1390,46 @@ const initializeSocket = (io) => {
         });
 
         // Accept a song request
-        socket.on('accept_request', async ({ roomId, requestId, userId, guestId }) => {
+        socket.on('accept_request', async ({ roomId, requestId }) => {
             try {
-                const normalizedRoomId = roomId ? String(roomId).toLowerCase() : roomId;
-                let room = await Room.findOne({ roomId: normalizedRoomId });
-                if (!room) room = await Room.findOne({ roomId });
-                if (!room) return socket.emit('error', { message: 'Room not found' });
-
-                const effectiveUserId = userId || guestId;
-
-                // Only DJs can accept requests
-                if (!hasDJPermission(room, effectiveUserId)) {
-                    return socket.emit('error', { message: 'Only DJs can accept requests.' });
-                }
-
-                // Find the request
-                const request = room.songRequests?.find(req => String(req._id) === String(requestId));
-                if (!request) {
-                    return socket.emit('error', { message: 'Request not found' });
-                }
-
-                // Update request status
-                // Try updating using normalizedRoomId first, then fallback
-                let updatedRoom = await Room.findOneAndUpdate(
-                    { roomId: normalizedRoomId, 'songRequests._id': requestId },
-                    { 
-                        $set: { 'songRequests.$.status': 'accepted' },
-                        $push: { 
-                            queue: {
-                                id: request.id,
-                                queueId: request.queueId,
-                                title: request.title,
-                                thumbnail: request.thumbnail,
-                                channel: request.channel,
-                                duration: request.duration
-                            }
-                        }
-                    },
-                    { new: true }
+                const { room: updatedRoom, request } = await queueService.acceptRequest(
+                    roomId,
+                    socket.data.identityId,
+                    requestId
                 );
-                if (!updatedRoom) {
-                    updatedRoom = await Room.findOneAndUpdate(
-                        { roomId, 'songRequests._id': requestId },
-                        { 
-                            $set: { 'songRequests.$.status': 'accepted' },
-                            $push: { 
-                                queue: {
-                                    id: request.id,
-                                    queueId: request.queueId,
-                                    title: request.title,
-                                    thumbnail: request.thumbnail,
-                                    channel: request.channel,
-                                    duration: request.duration
-                                }
-                            }
-                        },
-                        { new: true }
-                    );
-                }
-
-                if (!updatedRoom) return socket.emit('error', { message: 'Failed to accept request' });
 
                 io.to(roomId).emit('song_requests_updated', {
                     songRequests: updatedRoom.songRequests || []
                 });
-                io.to(roomId).emit('update_queue', updatedRoom.queue);
+                emitQueue(io, updatedRoom);
+                sendNotifications(io, [request.userId], {
+                    type: 'request_accepted',
+                    actor: { id: socket.data.identityId, name: socket.data.user?.name },
+                    roomId: updatedRoom.roomId,
+                    roomName: updatedRoom.name,
+                    song: { id: request.id, title: request.title }
+                });
 
                 console.log(`Request accepted in ${roomId}: ${request.title}`);
             } catch (err) {
-                console.error('Error accepting request:', err);
-                socket.emit('error', { message: 'Failed to accept request' });
+                console.error('Error accepting request:', err.message);
+                // Duplicate policy rejections go with the other request feedback
+                if (err.statusCode === 409) {
+                    return socket.emit('request_feedback', { type: 'error', message: err.message });
+                }
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to accept request' });
             }
         });
 
         // Decline a song request
-        socket.on('decline_request', async ({ roomId, requestId, userId, guestId }) => {
+        socket.on('decline_request', async ({ roomId, requestId }) => {
             try {
                 const normalizedRoomId = roomId ? String(roomId).toLowerCase() : roomId;
                 let room = await Room.findOne({ roomId: normalizedRoomId });
                 if (!room) room = await Room.findOne({ roomId });
                 if (!room) return socket.emit('error', { message: 'Room not found' });
 
-                const effectiveUserId = userId || guestId;
+                const effectiveUserId = socket.data.identityId;
 
                 // Only DJs can decline requests
                 if (!hasDJPermission(room, effectiveUserId)) {
@@ -664,6 +1456,17 @@ const initializeSocket = (io) => {
                     songRequests: updatedRoom.songRequests || []
                 });
 
+                const request = updatedRoom.songRequests.find(r => String(r._id) === String(requestId));
+                if (request) {
+                    sendNotifications(io, [request.userId], {
+                        type: 'request_declined',
+                        actor: { id: effectiveUserId, name: socket.data.user?.name },
+                        roomId: updatedRoom.roomId,
+                        roomName: updatedRoom.name,
+                        song: { id: request.id, title: request.title }
+                    });
+                }
+
                 console.log(`Request declined in ${roomId}: ${requestId}`);
             } catch (err) {
                 console.error('Error declining request:', err);
@@ -672,12 +1475,12 @@ const initializeSocket = (io) => {
         });
 
         // Grant DJ Permissions
-        socket.on('grant_dj_permission', async ({ roomId, targetUserId, userId, guestId }) => {
+        socket.on('grant_dj_permission', async ({ roomId, targetUserId }) => {
             try {
                 const room = await Room.findOne({ roomId });
                 if (!room) return socket.emit('error', { message: 'Room not found' });
 
-                const effectiveUserId = userId || guestId;
+                const effectiveUserId = socket.data.identityId;
 
                 // Only room creator can grant permissions
                 if (String(room.creatorId) !== String(effectiveUserId)) {
@@ -702,6 +1505,13 @@ const initializeSocket = (io) => {
                     message: `DJ permissions granted to user`
                 });
 
+                sendNotifications(io, [targetUserId], {
+                    type: 'dj_permission_granted',
+                    actor: { id: effectiveUserId, name: socket.data.user?.name },
+                    roomId: updatedRoom.roomId,
+                    roomName: updatedRoom.name
+                });
+
                 console.log(`DJ permission granted to ${targetUserId} in room ${roomId}`);
                 socket.emit('success', { message: 'DJ permission granted' });
             } catch (err) {
@@ -711,12 +1521,12 @@ const initializeSocket = (io) => {
         });
 
         // Revoke DJ Permissions
-        socket.on('revoke_dj_permission', async ({ roomId, targetUserId, userId, guestId }) => {
+        socket.on('revoke_dj_permission', async ({ roomId, targetUserId }) => {
             try {
                 const room = await Room.findOne({ roomId });
                 if (!room) return socket.emit('error', { message: 'Room not found' });
 
-                const effectiveUserId = userId || guestId;
+                const effectiveUserId = socket.data.identityId;
 
                 // Only room creator can revoke permissions
                 if (String(room.creatorId) !== String(effectiveUserId)) {
@@ -744,23 +1554,103 @@ const initializeSocket = (io) => {
             }
         });
 
-        socket.on('disconnect', () => {
-            Object.keys(rooms).forEach(roomId => {
-                if (rooms[roomId].users[socket.id]) {
-                    delete rooms[roomId].users[socket.id];
+        // Moderation: kick, ban or mute an identity. Kicks accept a socket id
+        // from older clients and remove every tab of its identity.
+        socket.on('kick_user', async ({ roomId, targetId, targetSocketId }) => {
+            try {
+                const identityId = targetId
+                    || (await presence.getListener(roomId, targetSocketId))?.identityId;
+                const members = await getMembers(roomId);
+                if (!identityId || !members.some(m => m.id === String(identityId))) {
+                    return socket.emit('error', { message: 'User is not in this room.' });
+                }
 
-                    // Notify remaining users
-                    io.to(roomId).emit('update_listeners', Object.values(rooms[roomId].users));
+                const room = await Room.findOne({ roomId });
+                moderationService.assertCanModerate(room, socket.data.identityId, identityId);
 
-                    // If room is now empty, update DB to paused state
-                    if (Object.keys(rooms[roomId].users).length === 0) {
-                        Room.findOneAndUpdate({ roomId }, { isPlaying: false }).catch(e => console.error(e));
-                    }
-                }
-            });
-            broadcastRooms(io);
+                await evictFromRoom(io, roomId, identityId, 'kicked');
+                console.log(`[Moderation] ${identityId} kicked from ${roomId}`);
+            } catch (err) {
+                console.error('Error kicking user:', err);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to kick user' });
+            }
+        });
+
+        socket.on('ban_user', async ({ roomId, targetId, reason }) => {
+            try {
+                const room = await moderationService.banUser(roomId, socket.data.identityId, targetId, reason);
+                await announceUserBanned(io, room, targetId);
+                console.log(`[Moderation] ${targetId} banned from ${roomId}`);
+            } catch (err) {
+                console.error('Error banning user:', err);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to ban user' });
+            }
+        });
+
+        socket.on('unban_user', async ({ roomId, targetId }) => {
+            try {
+                await moderationService.unbanUser(roomId, socket.data.identityId, targetId);
+                socket.emit('success', { message: 'User unbanned' });
+            } catch (err) {
+                console.error('Error unbanning user:', err);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to unban user' });
+            }
+        });
+
+        socket.on('mute_user', async ({ roomId, targetId, durationMinutes }) => {
+            try {
+                const mute = await moderationService.muteUser(roomId, socket.data.identityId, targetId, durationMinutes);
+                io.to(roomId).emit('user_muted', { targetId: mute.targetId, expiresAt: mute.expiresAt });
+            } catch (err) {
+                console.error('Error muting user:', err);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to mute user' });
+            }
+        });
+
+        socket.on('unmute_user', async ({ roomId, targetId }) => {
+            try {
+                await moderationService.unmuteUser(roomId, socket.data.identityId, targetId);
+                io.to(roomId).emit('user_unmuted', { targetId });
+            } catch (err) {
+                console.error('Error unmuting user:', err);
+                socket.emit('error', { message: err.statusCode ? err.message : 'Failed to unmute user' });
+            }
+        });
+
+        // Leaving on purpose skips the reconnect grace period
+        socket.on('leave_room', async ({ roomId } = {}, ack) => {
+            try {
+                socket.data.joinedRooms.delete(roomId);
+                socket.leave(roomId);
+                if (await removeListener(io, roomId, socket.id)) broadcastRooms(io);
+                if (typeof ack === 'function') ack({ roomId });
+            } catch (err) {
+                console.error('Error leaving room:', err);
+            }
+        });
+
+        socket.on('disconnect', async () => {
+            try {
+                const removed = await Promise.all([...socket.data.joinedRooms]
+                    .map(roomId => holdForReconnect(io, roomId, socket.id)));
+                if (removed.some(Boolean)) broadcastRooms(io);
+            } catch (err) {
+                console.error('Error cleaning up after disconnect:', err);
+            }
         });
     });
 };
 
-module.exports = { initializeSocket };
+module.exports = {
+    initializeSocket,
+    announceRoomCreated,
+    announceRoomUpdated,
+    announceRoomDeleted,
+    announceUserBanned,
+    announceQueueChanged,
+    announcePlaylistUpdated,
+    sendNotifications,
+    getListenerCount,
+    countListeners,
+    getLiveRoomIds
+};
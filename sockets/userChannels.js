@@ -0,0 +1,21 @@
+// Every logged-in socket also joins a channel named after its user, so the
+// server can reach all of a user's tabs (on any node, through the adapter)
+// without tracking socket ids.
+
+const USER_CHANNEL_PREFIX = 'user:';
+
+const userChannel = (userId) => `${USER_CHANNEL_PREFIX}${userId}`;
+
+// Room ids come from clients; none may shadow a user channel
+const isUserChannel = (name) => String(name || '').toLowerCase().startsWith(USER_CHANNEL_PREFIX);
+
+const joinUserChannel = (socket) => {
+    if (socket.data.user?.id) socket.join(userChannel(socket.data.user.id));
+};
+
+const emitToUsers = (io, userIds, event, payload) => {
+    const channels = [...new Set(userIds.map(String))].map(userChannel);
+    if (channels.length) io.to(channels).emit(event, payload);
+};
+
+module.exports = { userChannel, isUserChannel, joinUserChannel, emitToUsers };
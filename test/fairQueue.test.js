@@ -0,0 +1,101 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { countPending, fairInsertIndex, fairOrder } = require('../utils/fairQueue');
+
+// Queue entries from labels like 'A1' (contributor A, their first song);
+// '-' labels get no contributor
+const entry = (label) => (label.startsWith('-')
+    ? { queueId: label }
+    : { queueId: label, addedBy: label[0] });
+const queueOf = (...labels) => labels.map(entry);
+const labels = (queue) => queue.map(e => e.queueId);
+
+// What addToQueue does in fair mode
+const insert = (queue, label) => {
+    const next = [...queue];
+    next.splice(fairInsertIndex(queue, label[0]), 0, entry(label));
+    return next;
+};
+
+describe('countPending', () => {
+    test('counts only the contributor\'s entries', () => {
+        const queue = queueOf('A1', 'B1', 'A2', '-x');
+        assert.equal(countPending(queue, 'A'), 2);
+        assert.equal(countPending(queue, 'B'), 1);
+        assert.equal(countPending(queue, 'C'), 0);
+    });
+
+    test('reaches the limit addToQueue enforces', () => {
+        const limit = 3;
+        let queue = [];
+        for (const label of ['A1', 'A2', 'A3']) queue = insert(queue, label);
+        assert.equal(countPending(queue, 'A') >= limit, true);
+        // Others are still below it
+        assert.equal(countPending(insert(queue, 'B1'), 'B') >= limit, false);
+    });
+
+    test('never counts entries without a contributor', () => {
+        assert.equal(countPending(queueOf('-x', '-y'), undefined), 0);
+    });
+});
+
+describe('fairInsertIndex', () => {
+    test('interleaves contributors round by round', () => {
+        let queue = queueOf('A1', 'A2', 'A3');
+        queue = insert(queue, 'B1');
+        queue = insert(queue, 'C1');
+        queue = insert(queue, 'B2');
+        assert.deepEqual(labels(queue), ['A1', 'B1', 'C1', 'A2', 'B2', 'A3']);
+    });
+
+    test('appends when everyone is in the same round', () => {
+        assert.equal(fairInsertIndex(queueOf('A1', 'B1'), 'C'), 2);
+        assert.equal(fairInsertIndex([], 'A'), 0);
+    });
+
+    test('goes after songs of the same round that were added first', () => {
+        let queue = queueOf('A1', 'B1', 'B2', 'B3');
+        queue = insert(queue, 'A2');
+        queue = insert(queue, 'A3');
+        assert.deepEqual(labels(queue), ['A1', 'B1', 'B2', 'A2', 'B3', 'A3']);
+    });
+
+    test('treats entries without a contributor as one-song contributors', () => {
+        const queue = queueOf('-x', '-y', 'A1');
+        assert.equal(fairInsertIndex(queue, 'A'), 3);
+        assert.equal(fairInsertIndex(queue, 'B'), 3);
+        assert.deepEqual(labels(insert(queueOf('-x', 'A1', 'A2'), 'B1')), ['-x', 'A1', 'B1', 'A2']);
+    });
+
+    test('leaves DJ moves in place', () => {
+        // A DJ pulled A3 to the front
+        const moved = queueOf('A3', 'A1', 'B1', 'A2');
+        const queue = insert(insert(moved, 'C1'), 'B2');
+        assert.deepEqual(labels(queue.filter(e => !['C1', 'B2'].includes(e.queueId))), labels(moved));
+        assert.deepEqual(labels(queue), ['A3', 'A1', 'B1', 'C1', 'B2', 'A2']);
+    });
+});
+
+describe('fairOrder', () => {
+    test('takes turns in order of each contributor\'s first entry', () => {
+        const queue = queueOf('A1', 'A2', 'A3', 'B1', 'C1', 'B2');
+        assert.deepEqual(labels(fairOrder(queue)), ['A1', 'B1', 'C1', 'A2', 'B2', 'A3']);
+    });
+
+    test('keeps entries without a contributor in the first round', () => {
+        const queue = queueOf('A1', 'A2', '-x', '-y');
+        assert.deepEqual(labels(fairOrder(queue)), ['A1', '-x', '-y', 'A2']);
+    });
+
+    test('is a permutation and leaves an ordered queue alone', () => {
+        const queue = queueOf('A1', 'B1', 'A2', 'B2');
+        assert.deepEqual(fairOrder(queue), queue);
+        assert.deepEqual(fairOrder([]), []);
+    });
+
+    test('agrees with inserting one by one', () => {
+        const added = ['A1', 'A2', 'B1', 'A3', 'C1', 'B2', 'C2'];
+        const inserted = added.reduce(insert, []);
+        assert.deepEqual(labels(fairOrder(queueOf(...added))), labels(inserted));
+    });
+});
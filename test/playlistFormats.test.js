@@ -0,0 +1,162 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { FORMATS, serializePlaylist, parsePlaylist, detectFormat } = require('../utils/playlistFormats');
+
+const playlist = {
+    name: 'Late night "mix", vol. 2 & <friends>',
+    songs: [
+        {
+            id: 'dQw4w9WgXcQ',
+            title: 'Song, with "quotes", commas & <tags>',
+            channel: 'Artist "The Band" 100%',
+            duration: 213,
+            thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hq.jpg?a=1&b=2'
+        },
+        // Only the required fields
+        { id: 'abc_-123', title: "It's fine" }
+    ]
+};
+
+describe('round trips', () => {
+    for (const format of FORMATS) {
+        test(`${format} keeps every field`, () => {
+            const { body, contentType, extension } = serializePlaylist(playlist, format);
+            assert.equal(extension, format);
+            assert.match(contentType, /charset=utf-8/);
+            assert.equal(detectFormat(body), format);
+
+            assert.deepEqual(parsePlaylist(body, format), {
+                name: playlist.name,
+                songs: playlist.songs,
+                skipped: []
+            });
+        });
+
+        test(`${format} round trips an empty playlist`, () => {
+            const { body } = serializePlaylist({ name: 'Empty', songs: [] }, format);
+            assert.deepEqual(parsePlaylist(body), { name: 'Empty', songs: [], skipped: [] });
+        });
+    }
+});
+
+describe('m3u', () => {
+    test('reports unusable lines and keeps the rest', () => {
+        const text = [
+            '#EXTM3U',
+            '#EXTINF:10,Good song',
+            'https://youtu.be/xyz',
+            'not a link',
+            '#EXTINF:oops',
+            'https://example.com/page',
+            'https://www.youtube.com/watch?v=notitle'
+        ].join('\n');
+
+        assert.deepEqual(parsePlaylist(text), {
+            name: null,
+            songs: [{ id: 'xyz', title: 'Good song', duration: 10 }],
+            skipped: [
+                { line: 4, reason: 'Unrecognised song link' },
+                { line: 5, reason: 'Malformed #EXTINF line' },
+                { line: 6, reason: 'Unrecognised song link' },
+                { line: 7, reason: 'Missing title' }
+            ]
+        });
+    });
+
+    test('treats a negative duration as unknown', () => {
+        const { songs } = parsePlaylist('#EXTM3U\n#EXTINF:-1,Live set\nhttps://youtu.be/live\n');
+        assert.deepEqual(songs, [{ id: 'live', title: 'Live set' }]);
+    });
+
+    test('treats an implausibly long duration as unknown', () => {
+        const { songs } = parsePlaylist('#EXTM3U\n#EXTINF:9999999,Forever\nhttps://youtu.be/long\n');
+        assert.deepEqual(songs, [{ id: 'long', title: 'Forever' }]);
+    });
+});
+
+describe('xspf', () => {
+    test('decodes named and numeric entities', () => {
+        const text = `<?xml version="1.0"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>Rock &amp; Roll</title>
+  <trackList>
+    <track>
+      <location>https://www.youtube.com/watch?v=a1</location>
+      <title>Don&#39;t &lt;stop&gt; &#x2665;</title>
+      <duration>90500</duration>
+    </track>
+  </trackList>
+</playlist>`;
+
+        assert.deepEqual(parsePlaylist(text), {
+            name: 'Rock & Roll',
+            songs: [{ id: 'a1', title: 'Don\'t <stop> ♥', duration: 90.5 }],
+            skipped: []
+        });
+    });
+
+    test('reports tracks without a link or title', () => {
+        const text = [
+            '<playlist version="1">',
+            '  <trackList>',
+            '    <track><title>No link</title></track>',
+            '    <track><location>https://youtu.be/b2</location></track>',
+            '  </trackList>',
+            '</playlist>'
+        ].join('\n');
+
+        assert.deepEqual(parsePlaylist(text, 'xspf').skipped, [
+            { line: 3, reason: 'Missing or unrecognised song link' },
+            { line: 4, reason: 'Missing title' }
+        ]);
+    });
+
+    test('rejects other XML', () => {
+        assert.deepEqual(parsePlaylist('<rss></rss>', 'xspf').skipped, [{ line: 1, reason: 'Not an XSPF playlist' }]);
+    });
+});
+
+describe('json', () => {
+    test('reports skipped entries on the line they start', () => {
+        const text = [
+            '{',
+            '  "name": "Mixed",',
+            '  "songs": [',
+            '    { "id": "a", "title": "A, \\"quoted\\"" },',
+            '    { "id": "b" },',
+            '    "a string, with a comma",',
+            '    { "title": "no id" },',
+            '    { "id": "c", "title": "C", "duration": "not a number" }',
+            '  ]',
+            '}'
+        ].join('\n');
+
+        assert.deepEqual(parsePlaylist(text), {
+            name: 'Mixed',
+            songs: [
+                { id: 'a', title: 'A, "quoted"' },
+                { id: 'c', title: 'C' }
+            ],
+            skipped: [
+                { line: 5, reason: 'Missing title' },
+                { line: 6, reason: 'Not a song entry' },
+                { line: 7, reason: 'Missing song id' }
+            ]
+        });
+    });
+
+    test('accepts a bare list of songs', () => {
+        assert.deepEqual(parsePlaylist('[{"id":"x","title":"X"}]'), {
+            name: null,
+            songs: [{ id: 'x', title: 'X' }],
+            skipped: []
+        });
+    });
+
+    test('reports invalid JSON', () => {
+        const { songs, skipped } = parsePlaylist('{ "songs": [', 'json');
+        assert.deepEqual(songs, []);
+        assert.equal(skipped.length, 1);
+        assert.match(skipped[0].reason, /^Invalid JSON/);
+    });
+});
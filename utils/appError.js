@@ -0,0 +1,12 @@
+// Error with an HTTP status, thrown by services and translated into a
+// `{ status, message }` response (REST) or an `error` event (sockets)
+class AppError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.statusCode = statusCode;
+        this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+module.exports = AppError;
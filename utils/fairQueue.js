@@ -0,0 +1,58 @@
+// Round-robin ordering for fair-share queues. Pure functions over queue
+// entries ({ queueId, addedBy, ... }) so the rules can be checked without a
+// database. An entry's "round" is how many earlier entries in the queue share
+// its contributor: everyone's first song comes before anyone's second.
+
+// Entries without a contributor each count as their own contributor
+const contributorOf = (entry) => entry.addedBy || `entry:${entry.queueId}`;
+
+const countPending = (queue, contributorId) => {
+    return queue.filter(entry => contributorOf(entry) === String(contributorId)).length;
+};
+
+// Round of every entry, by position
+const roundsOf = (queue) => {
+    const seen = new Map();
+    return queue.map(entry => {
+        const key = contributorOf(entry);
+        const round = seen.get(key) || 0;
+        seen.set(key, round + 1);
+        return round;
+    });
+};
+
+// Where a new entry from `contributorId` belongs: after every entry of its own
+// round or earlier, and never ahead of the contributor's own pending songs.
+// Existing entries keep their relative order, so DJ moves survive.
+const fairInsertIndex = (queue, contributorId) => {
+    const key = String(contributorId);
+    const round = countPending(queue, key);
+    const rounds = roundsOf(queue);
+
+    let index = 0;
+    queue.forEach((entry, i) => {
+        if (rounds[i] <= round || contributorOf(entry) === key) index = i + 1;
+    });
+    return index;
+};
+
+// Reorder a whole queue round-robin. Contributors take turns in order of their
+// first entry, and each contributor's songs keep their relative order.
+const fairOrder = (queue) => {
+    const buckets = new Map();
+    queue.forEach(entry => {
+        const key = contributorOf(entry);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(entry);
+    });
+
+    const ordered = [];
+    for (let round = 0; ordered.length < queue.length; round++) {
+        for (const entries of buckets.values()) {
+            if (round < entries.length) ordered.push(entries[round]);
+        }
+    }
+    return ordered;
+};
+
+module.exports = { countPending, fairInsertIndex, fairOrder };
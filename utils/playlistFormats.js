@@ -0,0 +1,312 @@
+// Playlist serialisation to and from M3U, XSPF and JSON. Pure functions over
+// { name, songs: [{ id, title, channel, duration, thumbnail }] }, so the
+// formats can be checked without a database.
+//
+// Parsers never throw on bad entries: they return the songs they could read
+// plus `skipped` ({ line, reason }) for everything else. `line` is 1-based.
+
+const { songDuration } = require('./songDuration');
+
+const FORMATS = ['m3u', 'xspf', 'json'];
+
+// Song ids are turned into links with this prefix on export and read back from
+// them on import
+const SONG_URL_BASE = process.env.SONG_URL_BASE || 'https://www.youtube.com/watch?v=';
+
+const CONTENT_TYPES = {
+    m3u: 'audio/x-mpegurl; charset=utf-8',
+    xspf: 'application/xspf+xml; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+const songUrl = (id) => SONG_URL_BASE + encodeURIComponent(id);
+
+// Song id from one of our links, a YouTube link or a bare id
+const songIdFromLocation = (location) => {
+    const value = String(location || '').trim();
+    if (!value) return null;
+    if (value.startsWith(SONG_URL_BASE)) return decodeURIComponent(value.slice(SONG_URL_BASE.length)) || null;
+
+    try {
+        const url = new URL(value);
+        if (url.hostname === 'youtu.be') return url.pathname.slice(1) || null;
+        if (url.searchParams.get('v')) return url.searchParams.get('v');
+        return null;
+    } catch {
+        return /^[\w-]{1,64}$/.test(value) ? value : null;
+    }
+};
+
+// Keep only the known fields, or return why the entry can't be used
+const normalizeSong = (raw) => {
+    if (!raw || typeof raw !== 'object') return { reason: 'Not a song entry' };
+    const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+    const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+    if (!id) return { reason: 'Missing song id' };
+    if (!title) return { reason: 'Missing title' };
+
+    const song = { id, title };
+    if (typeof raw.channel === 'string' && raw.channel.trim()) song.channel = raw.channel.trim();
+    if (typeof raw.thumbnail === 'string' && raw.thumbnail.trim()) song.thumbnail = raw.thumbnail.trim();
+    const duration = songDuration(raw.duration);
+    if (duration !== undefined) song.duration = duration;
+    return { song };
+};
+
+// Returns index => 1-based line number for `text`. The newline offsets are
+// found once, so numbering every entry of a large import stays linear.
+const lineCounter = (text) => {
+    const newlines = [];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) newlines.push(i);
+    return (index) => {
+        let low = 0;
+        let high = newlines.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (newlines[mid] < index) low = mid + 1;
+            else high = mid;
+        }
+        return low + 1;
+    };
+};
+
+// --- M3U -------------------------------------------------------------------
+// Extended M3U with IPTV-style attributes for the fields M3U lacks:
+//   #EXTINF:213 channel="Artist" thumbnail="https://...",Song title
+//   https://www.youtube.com/watch?v=abc123
+
+const escapeAttr = (value) => String(value).replace(/%/g, '%25').replace(/"/g, '%22');
+const unescapeAttr = (value) => value.replace(/%22/g, '"').replace(/%25/g, '%');
+
+const toM3U = ({ name, songs }) => {
+    const lines = ['#EXTM3U', `#PLAYLIST:${String(name || '').replace(/[\r\n]+/g, ' ')}`];
+    for (const song of songs) {
+        const attrs = [
+            song.channel ? ` channel="${escapeAttr(song.channel)}"` : '',
+            song.thumbnail ? ` thumbnail="${escapeAttr(song.thumbnail)}"` : ''
+        ].join('');
+        const duration = Number.isFinite(song.duration) ? Math.round(song.duration) : -1;
+        lines.push(`#EXTINF:${duration}${attrs},${String(song.title).replace(/[\r\n]+/g, ' ')}`);
+        lines.push(songUrl(song.id));
+    }
+    return lines.join('\n') + '\n';
+};
+
+const parseM3U = (text) => {
+    const songs = [];
+    const skipped = [];
+    let name = null;
+    let info = null;
+
+    text.split(/\r?\n/).forEach((rawLine, i) => {
+        const line = rawLine.trim();
+        const lineNumber = i + 1;
+        if (!line || line === '#EXTM3U') return;
+
+        if (line.startsWith('#PLAYLIST:')) {
+            name = line.slice('#PLAYLIST:'.length).trim() || name;
+            return;
+        }
+        if (line.startsWith('#EXTINF:')) {
+            const match = line.match(/^#EXTINF:(-?[\d.]+)((?:\s+[\w-]+="[^"]*")*)\s*,(.*)$/);
+            if (!match) {
+                skipped.push({ line: lineNumber, reason: 'Malformed #EXTINF line' });
+                info = null;
+                return;
+            }
+            const attrs = Object.fromEntries([...match[2].matchAll(/([\w-]+)="([^"]*)"/g)]
+                .map(([, key, value]) => [key, unescapeAttr(value)]));
+            info = {
+                title: match[3],
+                duration: Number(match[1]) >= 0 ? Number(match[1]) : undefined,
+                channel: attrs.channel,
+                thumbnail: attrs.thumbnail
+            };
+            return;
+        }
+        // Other directives and comments
+        if (line.startsWith('#')) return;
+
+        const id = songIdFromLocation(line);
+        if (!id) {
+            skipped.push({ line: lineNumber, reason: 'Unrecognised song link' });
+        } else {
+            // Without #EXTINF there is no title, which playlists require
+            const { song, reason } = normalizeSong({ ...info, id });
+            if (song) songs.push(song);
+            else skipped.push({ line: lineNumber, reason });
+        }
+        info = null;
+    });
+
+    return { name, songs, skipped };
+};
+
+// --- XSPF ------------------------------------------------------------------
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const unescapeXml = (value) => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([\da-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+const toXSPF = ({ name, songs }) => {
+    const tracks = songs.map(song => {
+        const fields = [
+            `      <location>${escapeXml(songUrl(song.id))}</location>`,
+            `      <identifier>${escapeXml(song.id)}</identifier>`,
+            `      <title>${escapeXml(song.title)}</title>`,
+            song.channel ? `      <creator>${escapeXml(song.channel)}</creator>` : null,
+            // XSPF durations are in milliseconds
+            Number.isFinite(song.duration) ? `      <duration>${Math.round(song.duration * 1000)}</duration>` : null,
+            song.thumbnail ? `      <image>${escapeXml(song.thumbnail)}</image>` : null
+        ].filter(Boolean);
+        return ['    <track>', ...fields, '    </track>'].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(name || '')}</title>`,
+        '  <trackList>',
+        ...tracks,
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].join('\n');
+};
+
+// First <tag>…</tag> inside `xml`, unescaped, or undefined
+const readTag = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? unescapeXml(match[1].trim()) : undefined;
+};
+
+// Enough XML for flat XSPF track lists; not a general XML parser
+const parseXSPF = (text) => {
+    if (!/<playlist[\s>]/.test(text)) {
+        return { name: null, songs: [], skipped: [{ line: 1, reason: 'Not an XSPF playlist' }] };
+    }
+
+    const songs = [];
+    const skipped = [];
+    const trackList = text.match(/<trackList>([\s\S]*?)<\/trackList>/);
+    const header = trackList ? text.slice(0, trackList.index) : text;
+    const name = readTag(header, 'title') || null;
+
+    const lineAt = lineCounter(text);
+    for (const match of text.matchAll(/<track>([\s\S]*?)<\/track>/g)) {
+        const track = match[1];
+        const line = lineAt(match.index);
+        const id = readTag(track, 'identifier') || songIdFromLocation(readTag(track, 'location'));
+        if (!id) {
+            skipped.push({ line, reason: 'Missing or unrecognised song link' });
+            continue;
+        }
+
+        const durationMs = readTag(track, 'duration');
+        const { song, reason } = normalizeSong({
+            id,
+            title: readTag(track, 'title'),
+            channel: readTag(track, 'creator'),
+            thumbnail: readTag(track, 'image'),
+            duration: durationMs === undefined ? undefined : Number(durationMs) / 1000
+        });
+        if (song) songs.push(song);
+        else skipped.push({ line, reason });
+    }
+
+    return { name, songs, skipped };
+};
+
+// --- JSON ------------------------------------------------------------------
+
+const toJSON = ({ name, songs }) => JSON.stringify({
+    name,
+    songs: songs.map(({ id, title, channel, duration, thumbnail }) => ({ id, title, channel, duration, thumbnail }))
+}, null, 2) + '\n';
+
+// `{ name, songs: [...] }` or a bare array of songs. Skipped `line`s point at
+// the line each entry starts on when the JSON is pretty-printed, else line 1.
+const parseJSON = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { name: null, songs: [], skipped: [{ line: 1, reason: `Invalid JSON: ${err.message}` }] };
+    }
+
+    const entries = Array.isArray(data) ? data : data?.songs;
+    if (!Array.isArray(entries)) {
+        return { name: null, songs: [], skipped: [{ line: 1, reason: 'Expected a list of songs' }] };
+    }
+
+    // Best-effort line numbers: where each entry of the songs array starts
+    const openings = [];
+    const lineAt = lineCounter(text);
+    const songsStart = Array.isArray(data) ? text.indexOf('[') : text.search(/"songs"\s*:\s*\[/);
+    let depth = 0;
+    let inString = false;
+    let inEntry = false;
+    for (let i = text.indexOf('[', songsStart) + 1; i > 0 && i < text.length && depth >= 0; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i += 1;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (depth === 0 && !inEntry && /[^\s,\]]/.test(char)) {
+            openings.push(lineAt(i));
+            inEntry = true;
+        }
+        if (char === '"') inString = true;
+        else if (char === '{' || char === '[') depth += 1;
+        else if (char === '}' || char === ']') depth -= 1;
+        else if (char === ',' && depth === 0) inEntry = false;
+    }
+
+    const songs = [];
+    const skipped = [];
+    entries.forEach((entry, i) => {
+        const { song, reason } = normalizeSong(entry);
+        if (song) songs.push(song);
+        else skipped.push({ line: openings[i] || 1, reason });
+    });
+
+    const name = !Array.isArray(data) && typeof data.name === 'string' ? data.name : null;
+    return { name, songs, skipped };
+};
+
+// --- Entry points ----------------------------------------------------------
+
+const serializers = { m3u: toM3U, xspf: toXSPF, json: toJSON };
+const parsers = { m3u: parseM3U, xspf: parseXSPF, json: parseJSON };
+
+// Guess the format of an upload from its first non-blank characters
+const detectFormat = (text) => {
+    const start = String(text).trimStart();
+    if (start.startsWith('#EXTM3U') || start.startsWith('#EXTINF')) return 'm3u';
+    if (start.startsWith('<')) return 'xspf';
+    if (start.startsWith('{') || start.startsWith('[')) return 'json';
+    return 'm3u';
+};
+
+const serializePlaylist = (playlist, format) => ({
+    body: serializers[format](playlist),
+    contentType: CONTENT_TYPES[format],
+    extension: format
+});
+
+const parsePlaylist = (text, format = detectFormat(text)) => parsers[format](String(text));
+
+module.exports = { FORMATS, serializePlaylist, parsePlaylist, detectFormat };
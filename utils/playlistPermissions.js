@@ -0,0 +1,29 @@
+// Who may do what with a playlist. The owner manages everything; editors can
+// change the songs; viewers can only read. Unlisted and public playlists are
+// readable by anyone who has the link.
+
+const ownerIdOf = (playlist) => String(playlist.owner?._id || playlist.owner);
+
+const isPlaylistOwner = (playlist, userId) => {
+    return !!playlist && !!userId && ownerIdOf(playlist) === String(userId);
+};
+
+// 'owner', 'editor', 'viewer' or null
+const playlistRole = (playlist, userId) => {
+    if (!playlist || !userId) return null;
+    if (isPlaylistOwner(playlist, userId)) return 'owner';
+    const collaborator = playlist.collaborators?.find(c => String(c.user?._id || c.user) === String(userId));
+    return collaborator ? collaborator.role : null;
+};
+
+const canViewPlaylist = (playlist, userId) => {
+    if (!playlist) return false;
+    if (playlist.visibility === 'public' || playlist.visibility === 'unlisted') return true;
+    return !!playlistRole(playlist, userId);
+};
+
+const canEditPlaylist = (playlist, userId) => {
+    return ['owner', 'editor'].includes(playlistRole(playlist, userId));
+};
+
+module.exports = { isPlaylistOwner, playlistRole, canViewPlaylist, canEditPlaylist };
@@ -0,0 +1,98 @@
+// Token-bucket rate limiting.
+//
+// A store keeps one bucket per key and must implement
+//   take(key, { capacity, refillPerMs }) -> Promise<{ allowed, remaining, retryAfterMs }>
+// atomically. MemoryStore is the single-process implementation; a Redis store
+// can do the same with a small Lua script over a hash of { tokens, updatedAt }.
+
+class MemoryStore {
+    constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+        this.buckets = new Map();
+        // Drop buckets that have refilled completely, they carry no state
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+        this.cleanupTimer.unref();
+    }
+
+    async take(key, { capacity, refillPerMs }) {
+        const now = Date.now();
+        const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now, capacity, refillPerMs };
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+
+        let allowed = false;
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            allowed = true;
+        }
+        this.buckets.set(key, bucket);
+
+        return {
+            allowed,
+            remaining: Math.floor(bucket.tokens),
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs)
+        };
+    }
+
+    cleanup() {
+        const now = Date.now();
+        this.buckets.forEach((bucket, key) => {
+            const tokens = bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs;
+            if (tokens >= bucket.capacity) this.buckets.delete(key);
+        });
+    }
+}
+
+// Read a rule from env as "<limit>/<seconds>", e.g. RATE_LIMIT_SEND_MESSAGE=10/10
+const ruleFromEnv = (name, fallback) => {
+    const raw = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    const match = raw && /^(\d+)\/(\d+)$/.exec(raw.trim());
+    if (!match) return fallback;
+    return { limit: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+};
+
+// Shared IPs (NAT, campus wifi) get this many times the per-identity budget
+const IP_MULTIPLIER = Number(process.env.RATE_LIMIT_IP_MULTIPLIER) || 5;
+
+const defaultRules = {
+    send_message: { limit: 10, windowMs: 10 * 1000 },
+    send_reaction: { limit: 20, windowMs: 10 * 1000 },
+    request_song: { limit: 5, windowMs: 60 * 1000 },
+    add_to_queue: { limit: 10, windowMs: 60 * 1000 },
+    // Each load queues up to a whole playlist
+    load_playlist: { limit: 3, windowMs: 60 * 1000 },
+    login: { limit: 10, windowMs: 15 * 60 * 1000 },
+    signup: { limit: 5, windowMs: 60 * 60 * 1000 }
+};
+
+const getRule = (name) => ruleFromEnv(name, Object.hasOwn(defaultRules, name) ? defaultRules[name] : undefined);
+
+// Limit one action for an identity and its IP. Either bucket running dry blocks.
+const createRateLimiter = ({ store = new MemoryStore() } = {}) => {
+    const consume = async (name, { identity, ip }) => {
+        const rule = getRule(name);
+        if (!rule) return { allowed: true, remaining: Infinity, retryAfterMs: 0 };
+
+        const refillPerMs = rule.limit / rule.windowMs;
+        const checks = [];
+        if (identity) {
+            checks.push(store.take(`${name}:id:${identity}`, { capacity: rule.limit, refillPerMs }));
+        }
+        if (ip) {
+            const ipLimit = rule.limit * IP_MULTIPLIER;
+            checks.push(store.take(`${name}:ip:${ip}`, { capacity: ipLimit, refillPerMs: ipLimit / rule.windowMs }));
+        }
+
+        const results = await Promise.all(checks);
+        const blocked = results.filter(r => !r.allowed);
+        return {
+            allowed: blocked.length === 0,
+            remaining: Math.min(...results.map(r => r.remaining)),
+            retryAfterMs: Math.max(0, ...blocked.map(r => r.retryAfterMs))
+        };
+    };
+
+    return { consume, store };
+};
+
+module.exports = { MemoryStore, createRateLimiter, getRule, defaultRules };
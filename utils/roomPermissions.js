@@ -0,0 +1,35 @@
+// Helper function to check if user has DJ permissions
+const hasDJPermission = (room, userId) => {
+    if (!room) return false;
+    // Creator always has permission
+    if (String(room.creatorId) === String(userId)) return true;
+    // Check if in djPermissions array
+    if (room.djPermissions && room.djPermissions.includes(userId)) return true;
+    return false;
+};
+
+const isRoomOwner = (room, userId) => {
+    return !!room && String(room.creatorId) === String(userId);
+};
+
+// Whether an identity may see a room's details, history and chat
+const canViewRoom = (room, identityId) => {
+    if (!room) return false;
+    if (room.isPublic) return true;
+    if (!identityId) return false;
+    return hasDJPermission(room, String(identityId)) ||
+        !!(room.accessList && room.accessList.includes(String(identityId)));
+};
+
+// Whether an identity may be inside a room without a password or invite:
+// open rooms, DJs and anyone let in before. The same goes for reading what
+// happens inside (chat, play history). Expects `room` loaded with `+password`.
+const canEnterRoom = (room, identityId) => {
+    if (!room) return false;
+    if (room.isPublic && !room.password) return true;
+    if (!identityId) return false;
+    return hasDJPermission(room, String(identityId)) ||
+        !!(room.accessList && room.accessList.includes(String(identityId)));
+};
+
+module.exports = { hasDJPermission, isRoomOwner, canViewRoom, canEnterRoom };
@@ -0,0 +1,10 @@
+// REST side of AppError: services' errors carry their own status; anything
+// else is a server error
+const sendError = (res, err) => {
+    res.status(err.statusCode || 500).json({
+        status: err.status || 'error',
+        message: err.message
+    });
+};
+
+module.exports = sendError;
@@ -0,0 +1,12 @@
+// Song durations come from clients. Auto-advance trusts them, so anything
+// that isn't a plausible length in seconds is treated as unknown.
+const MAX_SONG_DURATION = 24 * 60 * 60;
+
+// `value` as seconds, or undefined when missing or out of range
+const songDuration = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const duration = Number(value);
+    return Number.isFinite(duration) && duration >= 0 && duration <= MAX_SONG_DURATION ? duration : undefined;
+};
+
+module.exports = { MAX_SONG_DURATION, songDuration };